@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import { pdfExtractionService } from '../services/pdfExtractionService';
+import { FIELD_SOURCES, describeField } from '../utils/fieldProvenance';
+
+// Fields edited as a single line; other strings get a textarea
+const SHORT_FIELDS = new Set(['fullName', 'email', 'phone', 'address', 'linkedin', 'github', 'website', 'currentRole']);
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Editable text for one structured field: strings as-is, string lists one per line, anything else as JSON
+const toEditableText = (value) => {
+  if (typeof value === 'string') return value;
+  if (isStringList(value)) return value.join('\n');
+  return JSON.stringify(value, null, 2);
+};
+
+const fromEditableText = (text, original) => {
+  if (typeof original === 'string') return text;
+  if (isStringList(original)) return text.split('\n').map(line => line.trim()).filter(Boolean);
+  return JSON.parse(text);
+};
+
+const createDraft = (item) => ({
+  rawText: item.rawText || '',
+  fields: Object.fromEntries(
+    Object.entries(item.structuredData || {})
+      .filter(([key]) => key !== 'fieldProvenance' && key !== 'invalidFields')
+      .map(([key, value]) => [key, toEditableText(value)])
+  )
+});
+
+// Extracted text and fields of each file next to the original document, editable before scoring
+const ResumeReview = ({ items, files, onConfirm, onCancel }) => {
+  const [drafts, setDrafts] = useState(() => items.map(createDraft));
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  const item = items[selectedIndex];
+  const draft = drafts[selectedIndex];
+  // Items follow the order of the files; names alone can repeat across folders
+  const file = files[selectedIndex];
+  const format = file ? pdfExtractionService.getFormat(file)?.id : null;
+
+  useEffect(() => {
+    if (!file || (format !== 'pdf' && format !== 'image')) {
+      setPreviewUrl(null);
+      return undefined;
+    }
+    const url = URL.createObjectURL(file);
+    setPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file, format]);
+
+  const updateDraft = (changes) => {
+    setDrafts(prev => prev.map((entry, index) => (index === selectedIndex ? { ...entry, ...changes } : entry)));
+  };
+
+  const handleFieldChange = (key, value) => {
+    updateDraft({ fields: { ...draft.fields, [key]: value } });
+  };
+
+  const handleReset = () => {
+    updateDraft(createDraft(item));
+  };
+
+  const handleConfirm = () => {
+    const corrected = [];
+    for (let i = 0; i < items.length; i++) {
+      const original = items[i];
+      if (!original.structuredData) {
+        corrected.push(original);
+        continue;
+      }
+
+      const { rawText, fields } = drafts[i];
+      const structuredData = { ...original.structuredData };
+      const fieldProvenance = { ...(original.structuredData.fieldProvenance || {}) };
+      const reviewedFields = [];
+      for (const [key, text] of Object.entries(fields)) {
+        if (text === toEditableText(original.structuredData[key])) continue;
+        try {
+          structuredData[key] = fromEditableText(text, original.structuredData[key]);
+        } catch (error) {
+          setSelectedIndex(i);
+          alert(`${original.fileName}: "${key}" is not valid JSON (${error.message})`);
+          return;
+        }
+        fieldProvenance[key] = describeField(structuredData[key], FIELD_SOURCES.manual, { text: rawText });
+        reviewedFields.push(key);
+      }
+      structuredData.fieldProvenance = fieldProvenance;
+      // A field corrected by hand no longer counts as failing validation
+      if (structuredData.invalidFields) {
+        structuredData.invalidFields = structuredData.invalidFields.filter(key => !reviewedFields.includes(key));
+      }
+
+      // Edited text is segmented again; page offsets no longer line up with it
+      const textEdited = rawText !== original.rawText;
+      corrected.push({
+        ...original,
+        rawText,
+        structuredData,
+        ...(textEdited ? {
+          sections: pdfExtractionService.segmentSections(rawText, original.metadata?.headings),
+          metadata: { ...original.metadata, pageOffsets: undefined }
+        } : {}),
+        reviewedFields: textEdited ? [...reviewedFields, 'rawText'] : reviewedFields
+      });
+    }
+    onConfirm(corrected);
+  };
+
+  const isEdited = (index) => {
+    const original = createDraft(items[index]);
+    return drafts[index].rawText !== original.rawText ||
+      Object.entries(drafts[index].fields).some(([key, text]) => text !== original.fields[key]);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Review Extracted Data</h2>
+          <p className="text-sm text-gray-500">
+            Correct the text and fields read from each resume. Scoring starts when you confirm.
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition-colors duration-200"
+          >
+            Confirm and Analyze
+          </button>
+        </div>
+      </div>
+
+      {/* File tabs */}
+      <div className="flex flex-wrap gap-2 mb-4 border-b border-gray-200 pb-3">
+        {items.map((entry, index) => (
+          <button
+            key={`${entry.fileName}-${index}`}
+            onClick={() => setSelectedIndex(index)}
+            className={`px-3 py-1 text-sm rounded-md border ${index === selectedIndex ? 'bg-blue-50 border-blue-300 text-blue-800' : 'border-gray-200 text-gray-700 hover:bg-gray-50'}`}
+          >
+            {files[index]?.webkitRelativePath || entry.fileName}
+            {!entry.structuredData && <span className="ml-1 text-red-600">(failed)</span>}
+            {entry.structuredData && isEdited(index) && <span className="ml-1 text-green-600">(edited)</span>}
+          </button>
+        ))}
+      </div>
+
+      {!item.structuredData ? (
+        <div className="p-4 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+          {item.error || 'No text could be extracted from this file'}. It will be recorded as {item.skipReason ? 'skipped' : 'failed'}.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {/* Original document */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Original</h3>
+            {previewUrl && format === 'pdf' && (
+              <iframe src={previewUrl} title={item.fileName} className="w-full h-[70vh] border rounded" />
+            )}
+            {previewUrl && format === 'image' && (
+              <img src={previewUrl} alt={item.fileName} className="w-full max-h-[70vh] object-contain border rounded" />
+            )}
+            {!previewUrl && (
+              <p className="text-sm text-gray-500">No preview for this file type; the extracted text is shown alongside.</p>
+            )}
+          </div>
+
+          {/* Raw text */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Extracted Text</h3>
+            <textarea
+              value={draft.rawText}
+              onChange={(e) => updateDraft({ rawText: e.target.value })}
+              className="w-full h-[70vh] px-3 py-2 border border-gray-300 rounded-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          {/* Structured fields */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-medium text-gray-700">Extracted Fields</h3>
+              <button onClick={handleReset} className="text-xs text-gray-500 hover:text-gray-700">
+                Undo changes
+              </button>
+            </div>
+            <div className="h-[70vh] overflow-y-auto space-y-3 pr-1">
+              {Object.entries(draft.fields).map(([key, text]) => (
+                <div key={key}>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    {key}
+                    {isStringList(item.structuredData[key]) && <span className="font-normal text-gray-400"> (one per line)</span>}
+                  </label>
+                  {SHORT_FIELDS.has(key) && typeof item.structuredData[key] === 'string' ? (
+                    <input
+                      type="text"
+                      value={text}
+                      onChange={(e) => handleFieldChange(key, e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  ) : (
+                    <textarea
+                      value={text}
+                      onChange={(e) => handleFieldChange(key, e.target.value)}
+                      rows={Math.min(Math.max(text.split('\n').length, 2), 12)}
+                      className={`w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${typeof item.structuredData[key] === 'string' || isStringList(item.structuredData[key]) ? '' : 'font-mono text-xs'}`}
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResumeReview;
@@ -1,12 +1,24 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { saveAnalysisResult, getAnalysisById } from '../utils/analysisStorage';
+import { saveAnalysisResult, getAnalysisById, deleteAnalysis } from '../utils/analysisStorage';
 import { aiAnalysisService } from '../services/aiAnalysisService';
 import { pdfExtractionService } from '../services/pdfExtractionService';
+import { fileImportService } from '../services/fileImportService';
+import ResumeReview from '../components/ResumeReview';
 
 const Analysis = () => {
   const [searchParams] = useSearchParams();
   const [selectedFiles, setSelectedFiles] = useState([]);
+  // Latest selection and pending import, for imports that start before the state has updated
+  const selectedFilesRef = useRef([]);
+  const importQueue = useRef(Promise.resolve());
+  const [rejectedFiles, setRejectedFiles] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [extractionProgress, setExtractionProgress] = useState({});
+  const [reviewBeforeAnalysis, setReviewBeforeAnalysis] = useState(false);
+  // Extracted data awaiting review: { analysisId, items }
+  const [pendingReview, setPendingReview] = useState(null);
   const [analysisTitle, setAnalysisTitle] = useState('');
   const [jobDetails, setJobDetails] = useState({
     title: '',
@@ -137,6 +149,10 @@ const Analysis = () => {
     }
   }, [searchParams]);
 
+  // Accepted resume types come from the extraction service's format registry
+  const formatLabels = pdfExtractionService.getFormatLabels();
+  const acceptedFormatsText = `${formatLabels.slice(0, -1).join(', ')} or ${formatLabels[formatLabels.length - 1]}`;
+
   const handleJobDetailsChange = (e) => {
     const { name, value } = e.target;
     setJobDetails(prev => ({
@@ -203,16 +219,66 @@ const Analysis = () => {
     }));
   };
 
-  const handleFileSelect = (e) => {
+  useEffect(() => {
+    selectedFilesRef.current = selectedFiles;
+  }, [selectedFiles]);
+
+  // files may be a promise (a drop still being read); reading errors are reported like import errors.
+  // Imports run one after another so each checks for duplicates against what the previous one added
+  const addFiles = (files) => {
+    const run = importQueue.current.then(async () => {
+      setIsImporting(true);
+      try {
+        const incoming = await files;
+        if (incoming.length === 0) return;
+        // Expands ZIP archives, checks file signatures and drops duplicate content
+        const { accepted, rejected } = await fileImportService.importFiles(incoming, selectedFilesRef.current);
+        selectedFilesRef.current = [...selectedFilesRef.current, ...accepted];
+        setSelectedFiles(prev => [...prev, ...accepted]);
+        setRejectedFiles(prev => [...prev, ...rejected]);
+      } catch (error) {
+        console.error('File import failed:', error);
+        alert(`Could not import files: ${error.message}`);
+      } finally {
+        setIsImporting(false);
+      }
+    });
+    importQueue.current = run;
+    return run;
+  };
+
+  const handleFileSelect = async (e) => {
     const files = Array.from(e.target.files);
-    const pdfFiles = files.filter(file => file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf'));
-    
-    if (pdfFiles.length === 0) {
-      alert('Please select at least one PDF file');
-      return;
+    // Allow selecting the same file or folder again
+    e.target.value = '';
+    await addFiles(files);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    // The drop's entries must be taken before the event ends, so reading starts here
+    await addFiles(fileImportService.filesFromDataTransfer(e.dataTransfer));
+  };
+
+  const handleClearFiles = () => {
+    setSelectedFiles([]);
+    setRejectedFiles([]);
+    setExtractionProgress({});
+  };
+
+  const getProgressLabel = (progress) => {
+    const pageInfo = progress.page ? ` page ${progress.page}/${progress.pages}` : '';
+    switch (progress.status) {
+      case 'queued': return 'Queued';
+      case 'parsing': return `Parsing${pageInfo}`;
+      case 'parsed': return 'Parsed';
+      case 'ocr': return `Running OCR on${pageInfo}`;
+      case 'structuring': return 'Extracting fields';
+      case 'done': return 'Done';
+      case 'failed': return 'Failed';
+      default: return '';
     }
-    
-    setSelectedFiles(pdfFiles);
   };
 
   const handleStartAnalysis = async () => {
@@ -223,7 +289,7 @@ const Analysis = () => {
     }
 
     if (selectedFiles.length === 0) {
-      alert('Please select at least one PDF file for analysis');
+      alert(`Please select at least one ${acceptedFormatsText} file for analysis`);
       return;
     }
 
@@ -259,49 +325,58 @@ const Analysis = () => {
     // Save analysis
     const analysisId = saveAnalysisResult(analysisData);
     
+    let extractedResumeData;
     try {
       // Show loading message
-      alert(`Analysis "${analysisTitle}" is starting... Please wait while we extract text from PDFs.`);
-      
-      // Extract text from all PDF files first
-      const extractedResumeData = [];
+      alert(`Analysis "${analysisTitle}" is starting... Please wait while we extract text from the resumes.`);
       
-      for (let i = 0; i < selectedFiles.length; i++) {
+      // Extract text from all resume files first, several at a time in the parser worker pool
+      // Keyed by position: files from an archive or folder can share a name
+      setExtractionProgress(Object.fromEntries(selectedFiles.map((file, index) => [index, { status: 'queued' }])));
+      const extractionResults = await pdfExtractionService.extractResumeDataBatch(selectedFiles, jobDetails, resumeFields, {
+        onProgress: ({ index, ...progress }) => setExtractionProgress(prev => ({ ...prev, [index]: progress }))
+      });
+
+      extractedResumeData = extractionResults.map((extractionResult, i) => {
         const file = selectedFiles[i];
-        console.log(`Extracting text from PDF ${i + 1}/${selectedFiles.length}: ${file.name}`);
-        
-        try {
-          const extractionResult = await pdfExtractionService.extractResumeData(file, jobDetails, resumeFields);
-          console.log('extractionResult', extractionResult);
-          if (extractionResult.success) {
-            extractedResumeData.push({
-              fileName: file.name,
-              structuredData: extractionResult.structuredData,
-              rawText: extractionResult.rawText,
-              metadata: extractionResult.metadata
-            });
-          } else {
-            console.error(`Failed to extract text from ${file.name}:`, extractionResult.error);
-            extractedResumeData.push({
-              fileName: file.name,
-              structuredData: null,
-              rawText: '',
-              metadata: null,
-              error: extractionResult.error
-            });
-          }
-        } catch (error) {
-          console.error(`Error extracting text from ${file.name}:`, error);
-          extractedResumeData.push({
+        console.log('extractionResult', extractionResult);
+        if (extractionResult.success) {
+          return {
             fileName: file.name,
-            structuredData: null,
-            rawText: '',
-            metadata: null,
-            error: error.message
-          });
+            structuredData: extractionResult.structuredData,
+            rawText: extractionResult.rawText,
+            sections: extractionResult.sections,
+            metadata: extractionResult.metadata
+          };
         }
-      }
-      
+
+        console.error(`Failed to extract text from ${file.name}:`, extractionResult.error);
+        return {
+          fileName: file.name,
+          structuredData: null,
+          rawText: '',
+          metadata: null,
+          error: extractionResult.error,
+          skipReason: extractionResult.skipReason
+        };
+      });
+    } catch (error) {
+      console.error(`Analysis "${analysisTitle}" failed:`, error);
+      alert(`Analysis failed: ${error.message}`);
+      resetForm();
+      return;
+    }
+
+    // Scoring waits for the reviewer to confirm or correct the extracted data
+    if (reviewBeforeAnalysis) {
+      setPendingReview({ analysisId, items: extractedResumeData });
+      return;
+    }
+    await runAnalysis(analysisId, extractedResumeData);
+  };
+
+  const runAnalysis = async (analysisId, extractedResumeData) => {
+    try {
       // Start AI analysis with extracted data
       await aiAnalysisService.startAnalysis(analysisId, extractedResumeData);
       
@@ -313,9 +388,27 @@ const Analysis = () => {
       alert(`Analysis failed: ${error.message}`);
     }
     
-    // Reset form
+    resetForm();
+  };
+
+  const handleReviewConfirm = async (correctedResumeData) => {
+    const { analysisId } = pendingReview;
+    setPendingReview(null);
+    await runAnalysis(analysisId, correctedResumeData);
+  };
+
+  const handleReviewCancel = () => {
+    if (!window.confirm('Discard the extracted data? The analysis will not be started.')) return;
+    deleteAnalysis(pendingReview.analysisId);
+    setPendingReview(null);
+    setExtractionProgress({});
+  };
+
+  const resetForm = () => {
     setAnalysisTitle('');
     setSelectedFiles([]);
+    setRejectedFiles([]);
+    setExtractionProgress({});
     setJobDetails({
       title: '',
       description: '',
@@ -326,6 +419,19 @@ const Analysis = () => {
     });
   };
 
+  if (pendingReview) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <ResumeReview
+          items={pendingReview.items}
+          files={selectedFiles}
+          onConfirm={handleReviewConfirm}
+          onCancel={handleReviewCancel}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="mb-8">
@@ -389,30 +495,79 @@ const Analysis = () => {
               Select Resume Files
             </h2>
             
-            <div>
-              <input
-                type="file"
-                accept=".pdf"
-                multiple
-                onChange={handleFileSelect}
-                className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
-              />
-              {selectedFiles.length > 0 && (
-                <div className="mt-2">
-                  <p className="text-sm text-gray-600 font-medium">
-                    Selected {selectedFiles.length} file(s):
-                  </p>
-                  <ul className="mt-1 text-sm text-gray-500 list-disc list-inside">
-                    {selectedFiles.map((file, index) => (
-                      <li key={index}>{file.name}</li>
-                    ))}
-                  </ul>
+            <div
+              onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={handleDrop}
+              className={`rounded-lg border-2 border-dashed p-4 ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}
+            >
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Files or ZIP archives
+                  </label>
+                  <input
+                    type="file"
+                    accept={[...pdfExtractionService.getAcceptedExtensions(), '.zip'].join(',')}
+                    multiple
+                    onChange={handleFileSelect}
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                  />
                 </div>
-              )}
-              <p className="mt-2 text-sm text-gray-500">
-                Select one or more PDF files for analysis. You can choose a single resume or multiple resumes for batch processing.
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Whole folder
+                  </label>
+                  <input
+                    type="file"
+                    webkitdirectory=""
+                    multiple
+                    onChange={handleFileSelect}
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                  />
+                </div>
+              </div>
+              <p className="mt-3 text-sm text-gray-500 text-center">
+                {isImporting ? 'Importing files...' : 'or drop files, folders or .zip archives here'}
               </p>
             </div>
+
+            {(selectedFiles.length > 0 || rejectedFiles.length > 0) && (
+              <div className="mt-4">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm text-gray-600 font-medium">
+                    Selected {selectedFiles.length} file(s)
+                    {rejectedFiles.length > 0 && `, ${rejectedFiles.length} skipped`}:
+                  </p>
+                  <button
+                    onClick={handleClearFiles}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Clear
+                  </button>
+                </div>
+                <ul className="mt-1 text-sm text-gray-500 list-disc list-inside max-h-64 overflow-y-auto">
+                  {selectedFiles.map((file, index) => (
+                    <li key={`ok-${index}`}>
+                      {file.webkitRelativePath || file.name}
+                      {extractionProgress[index] && (
+                        <span className={`ml-2 text-xs ${extractionProgress[index].status === 'failed' ? 'text-red-600' : 'text-blue-600'}`}>
+                          {getProgressLabel(extractionProgress[index])}
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                  {rejectedFiles.map((file, index) => (
+                    <li key={`skipped-${index}`} className="text-red-600">
+                      {file.name} — {file.reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <p className="mt-2 text-sm text-gray-500">
+              Select {acceptedFormatsText} resumes, a whole folder, or ZIP archives. Duplicate files are detected by content and only analyzed once.
+            </p>
           </div>
 
           {/* Job Details */}
@@ -616,6 +771,15 @@ const Analysis = () => {
 
           {/* Start Analysis Button */}
           <div className="bg-white rounded-lg shadow-sm border p-6">
+            <label className="flex items-center mb-4 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={reviewBeforeAnalysis}
+                onChange={(e) => setReviewBeforeAnalysis(e.target.checked)}
+                className="mr-2"
+              />
+              Review and correct extracted data before scoring
+            </label>
             <button
               onClick={handleStartAnalysis}
               className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-4 rounded-lg transition-colors duration-200"
@@ -1,5 +1,11 @@
 import React, { useState, useEffect, Fragment } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { isLowConfidence } from '../utils/fieldProvenance';
+import { isoToMonthIndex } from '../utils/experienceDates';
+import { getSkillsTaxonomy, normalizeSkills, normalizeSkillKey } from '../utils/skillsTaxonomy';
+import { isSameCandidate, findCandidateRecords } from '../utils/candidateIdentity';
+import { getLanguageName } from '../utils/languageDetection';
+import { PIPELINE_STEPS } from '../utils/llmConfig';
 
 const AnalysisDetails = () => {
   const { analysisId } = useParams();
@@ -9,6 +15,10 @@ const AnalysisDetails = () => {
   const [expandedRows, setExpandedRows] = useState(new Set());
   const [expandedFields, setExpandedFields] = useState(new Set());
   const [loading, setLoading] = useState(true);
+  const [skillFilter, setSkillFilter] = useState('');
+  const [countryFilter, setCountryFilter] = useState('');
+  // Records showing field values as written in the resume instead of translated
+  const [originalShown, setOriginalShown] = useState(new Set());
 
   useEffect(() => {
     loadAnalysisData();
@@ -34,6 +44,165 @@ const AnalysisDetails = () => {
     }
   };
 
+  // Low-confidence values are highlighted; hovering shows where the value came from
+  const getProvenanceProps = (record, field) => {
+    const entry = record.fieldProvenance?.[field];
+    if (!entry) return {};
+    const location = entry.page
+      ? `, page ${entry.page}`
+      : entry.span ? `, characters ${entry.span[0]}–${entry.span[1]}` : '';
+    return {
+      title: `Source: ${entry.source}, confidence ${Math.round(entry.confidence * 100)}%${location}`,
+      className: isLowConfidence(entry) ? 'bg-yellow-100 rounded px-1' : undefined
+    };
+  };
+
+  const renderLowConfidenceTag = (record, field) => {
+    const entry = record.fieldProvenance?.[field];
+    if (!isLowConfidence(entry)) return null;
+    return (
+      <span {...getProvenanceProps(record, field)} className="ml-2 px-1.5 py-0.5 text-xs font-normal rounded bg-yellow-100 text-yellow-800">
+        low confidence
+      </span>
+    );
+  };
+
+  const formatMonths = (months) => {
+    if (months < 12) return `${months} mo`;
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    return rest ? `${years} yr ${rest} mo` : `${years} yr`;
+  };
+
+  // Roles and gaps as bars on a shared month axis
+  const renderCareerTimeline = (timeline) => {
+    const periods = [...timeline.roles, ...timeline.gaps.map(gap => ({ startDate: gap.from, endDate: gap.to }))];
+    const axisStart = Math.min(...periods.map(period => isoToMonthIndex(period.startDate)));
+    const axisEnd = Math.max(...periods.map(period => isoToMonthIndex(period.endDate)));
+    const axisLength = axisEnd - axisStart + 1;
+    const barStyle = (from, to) => ({
+      left: `${((isoToMonthIndex(from) - axisStart) / axisLength) * 100}%`,
+      width: `${Math.max(((isoToMonthIndex(to) - isoToMonthIndex(from) + 1) / axisLength) * 100, 1)}%`
+    });
+    const { tenure, progression } = timeline;
+
+    return (
+      <div className="md:col-span-2 lg:col-span-3">
+        <h4 className="font-medium text-gray-900 mb-2">Career Timeline</h4>
+        <div className="flex flex-wrap gap-2 mb-3 text-xs">
+          <span className="px-2 py-1 rounded bg-gray-100 text-gray-700">
+            Average tenure {formatMonths(tenure.averageMonths)} across {tenure.employers} employer(s)
+          </span>
+          <span className="px-2 py-1 rounded bg-gray-100 text-gray-700">
+            Shortest {formatMonths(tenure.shortest.months)} ({tenure.shortest.company})
+          </span>
+          <span className="px-2 py-1 rounded bg-gray-100 text-gray-700">
+            Progression: {progression.trend}{progression.promotions > 0 ? `, ${progression.promotions} step(s) up` : ''}
+          </span>
+          {tenure.jobHopping && (
+            <span className="px-2 py-1 rounded bg-orange-100 text-orange-800">
+              Frequent job changes ({tenure.shortStints} jobs under a year)
+            </span>
+          )}
+          {timeline.gaps.length > 0 && (
+            <span className="px-2 py-1 rounded bg-red-100 text-red-700">
+              {timeline.gaps.length} gap(s) over {timeline.thresholdMonths} months
+            </span>
+          )}
+          {timeline.overlaps.length > 0 && (
+            <span className="px-2 py-1 rounded bg-yellow-100 text-yellow-800">
+              {timeline.overlaps.length} overlapping role(s)
+            </span>
+          )}
+        </div>
+
+        <div className="bg-white p-3 rounded border space-y-1">
+          {timeline.roles.map((role, index) => (
+            <div key={index} className="flex items-center gap-3 text-xs">
+              <div className="w-56 flex-shrink-0 truncate text-gray-700" title={`${role.position} at ${role.company}`}>
+                {role.position} <span className="text-gray-400">· {role.company}</span>
+              </div>
+              <div className="relative flex-1 h-4 bg-gray-50 rounded">
+                <div
+                  className="absolute h-4 rounded bg-blue-400"
+                  style={barStyle(role.startDate, role.endDate)}
+                  title={`${role.startDate} – ${role.current ? 'Present' : role.endDate} (${formatMonths(role.months)})`}
+                />
+              </div>
+            </div>
+          ))}
+          {timeline.gaps.length > 0 && (
+            <div className="flex items-center gap-3 text-xs">
+              <div className="w-56 flex-shrink-0 text-red-600">Gaps</div>
+              <div className="relative flex-1 h-4 bg-gray-50 rounded">
+                {timeline.gaps.map((gap, index) => (
+                  <div
+                    key={index}
+                    className="absolute h-4 rounded bg-red-300"
+                    style={barStyle(gap.from, gap.to)}
+                    title={`${gap.from} – ${gap.ongoing ? 'now' : gap.to} (${formatMonths(gap.months)})`}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+          <div className="flex gap-3 text-xs text-gray-400">
+            <div className="w-56 flex-shrink-0"></div>
+            <div className="flex-1 flex justify-between">
+              <span>{timeline.roles[0].startDate.slice(0, 4)}</span>
+              <span>{String(Math.floor(axisEnd / 12))}</span>
+            </div>
+          </div>
+        </div>
+
+        {timeline.overlaps.length > 0 && (
+          <ul className="mt-2 text-xs text-gray-600 list-disc list-inside">
+            {timeline.overlaps.map((overlap, index) => (
+              <li key={index}>
+                {overlap.roles.join(' and ')} overlap for {formatMonths(overlap.months)} ({overlap.from} – {overlap.to})
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // Links to the same candidate's records in other analyses
+  const renderOtherAnalyses = (record) => {
+    const matches = findCandidateRecords(record.candidateIdentity, { excludeAnalysisId: analysisId });
+    if (matches.length === 0) return null;
+    return (
+      <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded text-sm text-blue-900">
+        Also analyzed in:{' '}
+        {matches.map((match, index) => (
+          <Fragment key={`${match.analysisId}-${match.recordId}`}>
+            {index > 0 && ', '}
+            <button
+              onClick={() => navigate(`/analysis-details/${match.analysisId}`)}
+              className="text-blue-700 hover:underline"
+            >
+              {match.analysisTitle}
+            </button>
+            {match.overallScore !== undefined && ` (score ${match.overallScore})`}
+          </Fragment>
+        ))}
+      </div>
+    );
+  };
+
+  const toggleOriginal = (recordId) => {
+    setOriginalShown(prev => {
+      const next = new Set(prev);
+      if (next.has(recordId)) next.delete(recordId);
+      else next.add(recordId);
+      return next;
+    });
+  };
+
+  const getDisplayedRecord = (record) =>
+    originalShown.has(record.id) ? { ...record, ...record.originalFields } : record;
+
   const toggleRowExpansion = (recordId) => {
     const newExpanded = new Set(expandedRows);
     if (newExpanded.has(recordId)) {
@@ -105,6 +274,7 @@ const AnalysisDetails = () => {
       case 'completed': return 'text-green-600 bg-green-100';
       case 'processing': return 'text-blue-600 bg-blue-100';
       case 'failed': return 'text-red-600 bg-red-100';
+      case 'skipped': return 'text-yellow-700 bg-yellow-100';
       default: return 'text-gray-600 bg-gray-100';
     }
   };
@@ -141,6 +311,28 @@ const AnalysisDetails = () => {
   const averageScore = records.length > 0 
     ? records.reduce((sum, r) => sum + (r.overallScore || 0), 0) / records.length 
     : 0;
+  // Skills normalized again on display so records analyzed before a taxonomy change still line up
+  const taxonomy = getSkillsTaxonomy();
+  const recordSkills = new Map(records.map(record => [record.id, normalizeSkills(record.skills, taxonomy)]));
+  const skillCounts = new Map();
+  recordSkills.forEach(skills => skills.forEach(skill => {
+    const key = normalizeSkillKey(skill.name);
+    const entry = skillCounts.get(key) || { name: skill.name, category: skill.category, count: 0 };
+    entry.count += 1;
+    skillCounts.set(key, entry);
+  }));
+  const skillOptions = [...skillCounts.entries()].sort((a, b) => b[1].count - a[1].count || a[1].name.localeCompare(b[1].name));
+  const countryCounts = records.reduce((counts, record) => {
+    const country = record.location?.country;
+    if (country) counts.set(country, { name: record.location.countryName, count: (counts.get(country)?.count || 0) + 1 });
+    return counts;
+  }, new Map());
+  const countryOptions = [...countryCounts.entries()].sort((a, b) => b[1].count - a[1].count || a[1].name.localeCompare(b[1].name));
+  const visibleRecords = records
+    .filter(record => !skillFilter || recordSkills.get(record.id).some(skill => normalizeSkillKey(skill.name) === skillFilter))
+    .filter(record => !countryFilter || record.location?.country === countryFilter);
+  // Other records of the same person in this analysis (the same resume uploaded twice, or two versions of it)
+  const getDuplicates = (record) => records.filter(other => other.id !== record.id && isSameCandidate(record.candidateIdentity, other.candidateIdentity));
   const topScore = Math.max(...records.map(r => r.overallScore || 0));
   const lowestScore = Math.min(...records.map(r => r.overallScore || 0));
 
@@ -229,8 +421,42 @@ const AnalysisDetails = () => {
 
       {/* Records Table */}
       <div className="bg-white rounded-lg shadow-sm border pb-4">
-        <div className="px-6 py-4 border-b border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
           <h2 className="text-xl font-semibold text-gray-900">Analysis Records</h2>
+          <div className="flex items-center gap-4">
+            {countryOptions.length > 0 && (
+              <div className="flex items-center gap-2 text-sm">
+                <label htmlFor="countryFilter" className="text-gray-600">Country</label>
+                <select
+                  id="countryFilter"
+                  value={countryFilter}
+                  onChange={(e) => setCountryFilter(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">All countries</option>
+                  {countryOptions.map(([code, country]) => (
+                    <option key={code} value={code}>{country.name} ({country.count})</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {skillOptions.length > 0 && (
+              <div className="flex items-center gap-2 text-sm">
+                <label htmlFor="skillFilter" className="text-gray-600">Skill</label>
+                <select
+                  id="skillFilter"
+                  value={skillFilter}
+                  onChange={(e) => setSkillFilter(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">All skills</option>
+                  {skillOptions.map(([key, skill]) => (
+                    <option key={key} value={key}>{skill.name} ({skill.count})</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
         </div>
         
         {records.length === 0 ? (
@@ -263,7 +489,7 @@ const AnalysisDetails = () => {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
-                {records.map((record) => (
+                {visibleRecords.map(getDisplayedRecord).map((record) => (
                   <Fragment key={record.id}>
                     <tr className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap">
@@ -284,15 +510,57 @@ const AnalysisDetails = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm font-medium text-gray-900">
-                          {record.fullName || 'N/A'}
+                          <span {...getProvenanceProps(record, 'fullName')}>{record.fullName || 'N/A'}</span>
                         </div>
                         <div className="text-sm text-gray-500">
-                          {record.email || 'N/A'}
+                          <span {...getProvenanceProps(record, 'email')}>{record.email || 'N/A'}</span>
                         </div>
+                        {record.suspiciousContent && (
+                          <span className="inline-flex mt-1 px-2 py-0.5 text-xs font-semibold rounded-full text-red-600 bg-red-100">
+                            Hidden text
+                          </span>
+                        )}
+                        {getDuplicates(record).length > 0 && (
+                          <span
+                            title={`Same candidate as ${getDuplicates(record).map(other => other.fileName || other.fullName).join(', ')}`}
+                            className="inline-flex mt-1 ml-1 px-2 py-0.5 text-xs font-semibold rounded-full text-orange-700 bg-orange-100"
+                          >
+                            Duplicate
+                          </span>
+                        )}
+                        {record.sourceFormat === 'image' && (
+                          <span className="inline-flex mt-1 ml-1 px-2 py-0.5 text-xs font-semibold rounded-full text-purple-700 bg-purple-100">
+                            From image
+                          </span>
+                        )}
+                        {record.language && record.language.code !== (record.analysisLanguage || 'en') && (
+                          <span
+                            title={`Written in ${record.language.name}`}
+                            className="inline-flex mt-1 ml-1 px-2 py-0.5 text-xs font-semibold rounded-full text-gray-700 bg-gray-100 uppercase"
+                          >
+                            {record.language.code}
+                          </span>
+                        )}
+                        {record.reviewedFields?.length > 0 && (
+                          <span
+                            title={`Corrected before scoring: ${record.reviewedFields.join(', ')}`}
+                            className="inline-flex mt-1 ml-1 px-2 py-0.5 text-xs font-semibold rounded-full text-green-700 bg-green-100"
+                          >
+                            Reviewed
+                          </span>
+                        )}
+                        {record.invalidFields?.length > 0 && (
+                          <span
+                            title={`Model output failed validation for: ${record.invalidFields.join(', ')}`}
+                            className="inline-flex mt-1 ml-1 px-2 py-0.5 text-xs font-semibold rounded-full text-red-700 bg-red-100"
+                          >
+                            Unverified fields
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">
-                          {record.currentRole || 'N/A'}
+                          <span {...getProvenanceProps(record, 'currentRole')}>{record.currentRole || 'N/A'}</span>
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
@@ -302,8 +570,11 @@ const AnalysisDetails = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(record.status)}`}>
-                          {record.status || 'pending'}
+                          {record.skipReason === 'encrypted' ? 'encrypted — skipped' : (record.status || 'pending')}
                         </span>
+                        {record.status !== 'completed' && record.error && (
+                          <div className="text-xs text-gray-500 mt-1">{truncateText(record.error, 60)}</div>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {record.analyzedAt ? new Date(record.analyzedAt).toLocaleDateString() : 'N/A'}
@@ -315,6 +586,23 @@ const AnalysisDetails = () => {
                       <tr>
                         <td colSpan="6" className="px-6 py-4 bg-gray-50">
                           <div className="space-y-8">
+                            {/* Suspicious Content Warning */}
+                            {record.suspiciousContent && (
+                              <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                                <h3 className="text-sm font-semibold text-red-800 mb-1">
+                                  Hidden text detected ({record.suspiciousContent.runCount} runs, {record.suspiciousContent.hiddenCharCount} characters excluded from scoring)
+                                </h3>
+                                <ul className="text-sm text-red-700 list-disc list-inside mb-2">
+                                  {record.suspiciousContent.reasons?.map((reason, index) => (
+                                    <li key={index}>{reason}</li>
+                                  ))}
+                                </ul>
+                                <p className="text-xs text-red-600 break-words">
+                                  {truncateText(record.suspiciousContent.runs?.map(run => run.text).join(', '), 300)}
+                                </p>
+                              </div>
+                            )}
+
                             {/* Analysis Results Section */}
                             <div>
                               <h3 className="text-lg font-semibold text-gray-900 mb-4 border-b border-gray-200 pb-2">
@@ -333,28 +621,54 @@ const AnalysisDetails = () => {
 
                             {/* Resume Data Section */}
                             <div>
-                              <h3 className="text-lg font-semibold text-gray-900 mb-4 border-b border-gray-200 pb-2">
-                                Extracted Resume Data
-                              </h3>
+                              <div className="flex items-center justify-between mb-4 border-b border-gray-200 pb-2">
+                                <h3 className="text-lg font-semibold text-gray-900">
+                                  Extracted Resume Data
+                                </h3>
+                                {record.originalFields && (
+                                  <button
+                                    onClick={() => toggleOriginal(record.id)}
+                                    className="text-sm px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                                  >
+                                    {originalShown.has(record.id)
+                                      ? `Show ${getLanguageName(record.analysisLanguage || 'en')} translation`
+                                      : `Show original (${record.language?.name || 'source language'})`}
+                                  </button>
+                                )}
+                              </div>
+                              {Object.values(record.fieldProvenance || {}).some(isLowConfidence) && (
+                                <p className="text-xs text-gray-500 mb-3">
+                                  <span className="bg-yellow-100 rounded px-1">Highlighted</span> values were extracted with low confidence. Hover a value to see its source.
+                                </p>
+                              )}
+                              {renderOtherAnalyses(record)}
                               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                                 {/* Personal Information */}
                                 {record.phone && record.phone !== 'N/A' && (
                                   <div className="mb-4">
                                     <h4 className="font-medium text-gray-900 mb-2">Phone</h4>
-                                    <p className="text-sm text-gray-600">{record.phone}</p>
+                                    <p className="text-sm text-gray-600"><span {...getProvenanceProps(record, 'phone')}>{record.phoneDetails?.international || record.phone}</span></p>
+                                    {record.phoneDetails && !record.phoneDetails.valid && (
+                                      <p className="text-xs text-gray-400 mt-1">Not a valid number for any known country</p>
+                                    )}
                                   </div>
                                 )}
                                 {record.address && record.address !== 'N/A' && (
                                   <div className="mb-4">
                                     <h4 className="font-medium text-gray-900 mb-2">Address</h4>
-                                    <p className="text-sm text-gray-600">{record.address}</p>
+                                    <p className="text-sm text-gray-600"><span {...getProvenanceProps(record, 'address')}>{record.address}</span></p>
+                                    {(record.location?.city || record.location?.country) && (
+                                      <p className="text-xs text-gray-400 mt-1">
+                                        {[record.location.city, record.location.region, record.location.countryName].filter(Boolean).join(' • ')}
+                                      </p>
+                                    )}
                                   </div>
                                 )}
                                 {record.linkedin && record.linkedin !== 'N/A' && (
                                   <div className="mb-4">
                                     <h4 className="font-medium text-gray-900 mb-2">LinkedIn</h4>
                                     <a href={record.linkedin} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:underline">
-                                      {record.linkedin}
+                                      <span {...getProvenanceProps(record, 'linkedin')}>{record.linkedin}</span>
                                     </a>
                                   </div>
                                 )}
@@ -362,15 +676,43 @@ const AnalysisDetails = () => {
                                   <div className="mb-4">
                                     <h4 className="font-medium text-gray-900 mb-2">GitHub</h4>
                                     <a href={record.github} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:underline">
-                                      {record.github}
+                                      <span {...getProvenanceProps(record, 'github')}>{record.github}</span>
                                     </a>
                                   </div>
                                 )}
 
+                                {record.ocr && Array.isArray(record.ocr.pages) && record.ocr.pages.length > 0 && (
+                                  <div className="mb-4">
+                                    <h4 className="font-medium text-gray-900 mb-2">Text Recognition (OCR)</h4>
+                                    <p className="text-sm text-gray-600">
+                                      {record.ocr.pages.map(p => `Page ${p.page} (${p.confidence}%)`).join(', ')}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                      Average confidence {record.ocr.averageConfidence}%
+                                    </p>
+                                    {record.sourceFormat === 'image' && (
+                                      <p className="text-xs text-gray-500">
+                                        Read from an image{record.ocr.rotation ? `, rotated ${record.ocr.rotation}°` : ''}{record.ocr.deskewAngle ? `, deskewed ${record.ocr.deskewAngle}°` : ''}
+                                      </p>
+                                    )}
+                                  </div>
+                                )}
+
+                                {record.modelsUsed && Object.keys(record.modelsUsed).length > 0 && (
+                                  <div className="mb-4">
+                                    <h4 className="font-medium text-gray-900 mb-2">Models</h4>
+                                    {PIPELINE_STEPS.filter(step => record.modelsUsed[step.id]).map(step => (
+                                      <p key={step.id} className="text-sm text-gray-600">
+                                        <span className="text-gray-500">{step.label}:</span> {record.modelsUsed[step.id]}
+                                      </p>
+                                    ))}
+                                  </div>
+                                )}
+
                                 {/* Education */}
                                 {record.education && Array.isArray(record.education) && record.education.length > 0 && (
                                   <div className="md:col-span-2 lg:col-span-3">
-                                    <h4 className="font-medium text-gray-900 mb-2">Education</h4>
+                                    <h4 className="font-medium text-gray-900 mb-2">Education{renderLowConfidenceTag(record, 'education')}</h4>
                                     <div className="space-y-3">
                                       {record.education.map((edu, index) => (
                                         <div key={index} className="bg-white p-3 rounded border">
@@ -385,16 +727,27 @@ const AnalysisDetails = () => {
                                   </div>
                                 )}
 
+                                {/* Career Timeline */}
+                                {record.careerTimeline?.roles?.length > 0 && renderCareerTimeline(record.careerTimeline)}
+
                                 {/* Work Experience */}
                                 {record.workExperience && Array.isArray(record.workExperience) && record.workExperience.length > 0 && (
                                   <div className="md:col-span-2 lg:col-span-3">
-                                    <h4 className="font-medium text-gray-900 mb-2">Work Experience</h4>
+                                    <h4 className="font-medium text-gray-900 mb-2">
+                                      Work Experience
+                                      {record.experienceYears && (
+                                        <span className="ml-2 text-sm font-normal text-gray-500">
+                                          {record.experienceYears.totalYears} yrs total, {record.experienceYears.relevantYears} relevant
+                                        </span>
+                                      )}
+                                      {renderLowConfidenceTag(record, 'workExperience')}
+                                    </h4>
                                     <div className="space-y-3">
                                       {record.workExperience.map((exp, index) => (
                                         <div key={index} className="bg-white p-3 rounded border">
                                           <div className="font-medium text-gray-900">{exp.position}</div>
                                           <div className="text-sm text-gray-600">{exp.company}</div>
-                                          <div className="text-sm text-gray-500">{exp.startDate} - {exp.endDate || 'Present'}</div>
+                                          <div className="text-sm text-gray-500">{exp.startDate} - {exp.current || !exp.endDate ? 'Present' : exp.endDate}</div>
                                           {exp.description && (
                                             <div className="text-sm text-gray-600 mt-2">{exp.description}</div>
                                           )}
@@ -405,23 +758,35 @@ const AnalysisDetails = () => {
                                 )}
 
                                 {/* Skills */}
-                                {record.skills && Array.isArray(record.skills) && record.skills.length > 0 && (
+                                {recordSkills.get(record.id).length > 0 && (
                                   <div className="md:col-span-2 lg:col-span-3">
-                                    <h4 className="font-medium text-gray-900 mb-2">Skills</h4>
+                                    <h4 className="font-medium text-gray-900 mb-2">Skills{renderLowConfidenceTag(record, 'skills')}</h4>
                                     <div className="flex flex-wrap gap-2">
-                                      {record.skills.map((skill, index) => (
-                                        <span key={index} className="px-2 py-1 bg-blue-100 text-blue-800 text-sm rounded">
-                                          {skill}
+                                      {recordSkills.get(record.id).map((skill, index) => (
+                                        <span
+                                          key={index}
+                                          title={skill.original !== skill.name ? `${skill.category} (listed as "${skill.original}")` : skill.category}
+                                          className={`px-2 py-1 text-sm rounded ${skill.known ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'}`}
+                                        >
+                                          {skill.name}
                                         </span>
                                       ))}
                                     </div>
+                                    {record.skillMatch?.required?.length > 0 && (
+                                      <p className="mt-2 text-xs text-gray-600">
+                                        Matches {record.skillMatch.matched.length} of {record.skillMatch.required.length} skills named in the job
+                                        {record.skillMatch.missing.length > 0 && (
+                                          <span className="text-red-600"> • missing {record.skillMatch.missing.join(', ')}</span>
+                                        )}
+                                      </p>
+                                    )}
                                   </div>
                                 )}
 
                                 {/* Projects */}
                                 {record.projects && Array.isArray(record.projects) && record.projects.length > 0 && (
                                   <div className="md:col-span-2 lg:col-span-3">
-                                    <h4 className="font-medium text-gray-900 mb-2">Projects</h4>
+                                    <h4 className="font-medium text-gray-900 mb-2">Projects{renderLowConfidenceTag(record, 'projects')}</h4>
                                     <div className="space-y-3">
                                       {record.projects.map((project, index) => (
                                         <div key={index} className="bg-white p-3 rounded border">
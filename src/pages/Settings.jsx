@@ -1,5 +1,10 @@
-import { useState, useEffect } from 'react';
-import { createChatModel } from '../services/llmFactory';
+import { useState, useEffect, Fragment } from 'react';
+import { createChatModel, validateModelOptions, isOptionSupported, DEFAULT_TIMEOUT_SECONDS } from '../services/llmFactory';
+import { LLM_PROVIDERS, PIPELINE_STEPS, parseCustomHeaders, getModelRouting, saveModelRouting, renameRoutedConfiguration } from '../utils/llmConfig';
+import { getExtractionCache, deleteCachedExtraction, clearExtractionCache, getExtractionCacheSize, MAX_CACHE_ENTRIES } from '../utils/extractionCache';
+import { getAnalysisSettings, saveAnalysisSettings } from '../utils/analysisSettings';
+import { ANALYSIS_LANGUAGES } from '../utils/languageDetection';
+import { BUNDLED_SKILLS, SKILL_CATEGORIES, getCustomSkills, saveCustomSkills, normalizeSkillKey } from '../utils/skillsTaxonomy';
 
 const Settings = ({ onSave }) => {
   const [configurations, setConfigurations] = useState([]);
@@ -11,21 +16,131 @@ const Settings = ({ onSave }) => {
     model: 'llama3.1',
     temperature: 0.2,
     maxTokens: 2048,
+    // Empty means the provider default
+    topP: '',
+    timeoutSeconds: DEFAULT_TIMEOUT_SECONDS,
+    // One stop sequence per line
+    stop: '',
     isDefault: false,
     // Azure-specific fields
     deploymentName: '',
     apiVersion: '',
-    instanceName: ''
+    instanceName: '',
+    // OpenAI-compatible servers: "Name: value" per line
+    customHeaders: ''
   });
   const [isEditing, setIsEditing] = useState(false);
   const [editingIndex, setEditingIndex] = useState(-1);
   const [testResult, setTestResult] = useState(null);
   const [isTesting, setIsTesting] = useState(false);
+  const [cacheEntries, setCacheEntries] = useState([]);
+  const [cacheSize, setCacheSize] = useState(0);
+  const [viewingCacheKey, setViewingCacheKey] = useState(null);
+  const [analysisSettings, setAnalysisSettings] = useState(getAnalysisSettings());
+  const [customSkills, setCustomSkills] = useState(getCustomSkills());
+  const [newSkill, setNewSkill] = useState({ name: '', category: SKILL_CATEGORIES[0], aliases: '' });
+  const [routing, setRouting] = useState(getModelRouting());
 
   useEffect(() => {
     loadConfigurations();
+    loadCache();
   }, []);
 
+  const loadCache = () => {
+    const cache = getExtractionCache();
+    setCacheEntries(
+      Object.entries(cache)
+        .map(([key, entry]) => ({ key, ...entry }))
+        .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+    );
+    setCacheSize(getExtractionCacheSize());
+  };
+
+  const handleDeleteCacheEntry = (key) => {
+    deleteCachedExtraction(key);
+    loadCache();
+  };
+
+  const handleClearCache = () => {
+    if (window.confirm('Clear all cached extractions? Resumes will be parsed and sent to the LLM again on the next analysis.')) {
+      clearExtractionCache();
+      loadCache();
+    }
+  };
+
+  const handleAnalysisSettingChange = (e) => {
+    const { name, value } = e.target;
+    setAnalysisSettings(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveAnalysisSettings = () => {
+    const gapThresholdMonths = Number(analysisSettings.gapThresholdMonths);
+    if (!Number.isInteger(gapThresholdMonths) || gapThresholdMonths < 1) {
+      alert('Gap threshold must be a whole number of months (1 or more)');
+      return;
+    }
+    setAnalysisSettings(saveAnalysisSettings({ gapThresholdMonths, analysisLanguage: analysisSettings.analysisLanguage }));
+    alert('Analysis settings saved. They apply to analyses started from now on.');
+  };
+
+  const updateRouting = (updated) => {
+    saveModelRouting(updated);
+    setRouting(updated);
+  };
+
+  const handleStepRoutingChange = (step, name) => {
+    updateRouting({ ...routing, steps: { ...routing.steps, [step]: name || undefined } });
+  };
+
+  const handleAddFallback = (name) => {
+    updateRouting({ ...routing, fallbacks: [...routing.fallbacks, name] });
+  };
+
+  const handleMoveFallback = (index, offset) => {
+    const fallbacks = [...routing.fallbacks];
+    [fallbacks[index], fallbacks[index + offset]] = [fallbacks[index + offset], fallbacks[index]];
+    updateRouting({ ...routing, fallbacks });
+  };
+
+  const handleRemoveFallback = (index) => {
+    updateRouting({ ...routing, fallbacks: routing.fallbacks.filter((_, i) => i !== index) });
+  };
+
+  const handleNewSkillChange = (e) => {
+    const { name, value } = e.target;
+    setNewSkill(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddSkill = () => {
+    const name = newSkill.name.trim();
+    if (!name) {
+      alert('Please enter a skill name');
+      return;
+    }
+    const aliases = newSkill.aliases.split(',').map(alias => alias.trim()).filter(Boolean);
+    // A built-in skill only changes category when the user confirms it; otherwise just the aliases are added
+    const bundled = BUNDLED_SKILLS.find(skill => normalizeSkillKey(skill.name) === normalizeSkillKey(name));
+    let category = newSkill.category;
+    if (bundled && bundled.category !== category &&
+      !window.confirm(`"${bundled.name}" is a built-in ${bundled.category} skill. Move it to ${category}?`)) {
+      category = bundled.category;
+    }
+    // Re-adding a skill replaces its earlier custom entry
+    const updated = [
+      ...customSkills.filter(skill => normalizeSkillKey(skill.name) !== normalizeSkillKey(name)),
+      { name, category, aliases }
+    ];
+    saveCustomSkills(updated);
+    setCustomSkills(updated);
+    setNewSkill({ name: '', category: newSkill.category, aliases: '' });
+  };
+
+  const handleDeleteSkill = (name) => {
+    const updated = customSkills.filter(skill => skill.name !== name);
+    saveCustomSkills(updated);
+    setCustomSkills(updated);
+  };
+
   const loadConfigurations = () => {
     const saved = localStorage.getItem('llmConfigurations');
     if (saved) {
@@ -41,6 +156,25 @@ const Settings = ({ onSave }) => {
     }));
   };
 
+  // Switching provider swaps in its default URL and model unless they were edited
+  const handleProviderChange = (e) => {
+    const provider = e.target.value;
+    setCurrentConfig(prev => {
+      const previousDefaults = LLM_PROVIDERS[prev.provider]?.defaults || {};
+      const updated = { ...prev, provider };
+      Object.entries(LLM_PROVIDERS[provider].defaults).forEach(([key, value]) => {
+        if (!prev[key] || prev[key] === previousDefaults[key]) updated[key] = value;
+      });
+      // Options the new provider ignores are cleared rather than silently dropped
+      ['maxTokens', 'topP', 'stop'].forEach(option => {
+        if (!isOptionSupported(provider, option)) updated[option] = '';
+      });
+      return updated;
+    });
+  };
+
+  const hasField = (field) => LLM_PROVIDERS[currentConfig.provider]?.fields.includes(field);
+
   const handleTestConnection = async () => {
     setIsTesting(true);
     setTestResult(null);
@@ -70,9 +204,39 @@ const Settings = ({ onSave }) => {
       return;
     }
 
+    // Model routing refers to configurations by name
+    if (configurations.some((config, index) => config.name === currentConfig.name && !(isEditing && index === editingIndex))) {
+      alert('A configuration with this name already exists');
+      return;
+    }
+
+    if (hasField('baseUrl') && !currentConfig.baseUrl?.trim()) {
+      alert('Please enter the base URL of the server');
+      return;
+    }
+
+    const optionErrors = validateModelOptions(currentConfig);
+    if (optionErrors.length > 0) {
+      alert(optionErrors.join('\n'));
+      return;
+    }
+
+    if (hasField('customHeaders')) {
+      try {
+        parseCustomHeaders(currentConfig.customHeaders);
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+    }
+
     const newConfigs = [...configurations];
 
     if (isEditing) {
+      if (configurations[editingIndex].name !== currentConfig.name) {
+        renameRoutedConfiguration(configurations[editingIndex].name, currentConfig.name);
+        setRouting(getModelRouting());
+      }
       newConfigs[editingIndex] = { ...currentConfig };
     } else {
       if (currentConfig.isDefault) {
@@ -92,10 +256,14 @@ const Settings = ({ onSave }) => {
       model: 'llama3.1',
       temperature: 0.7,
       maxTokens: 2048,
+      topP: '',
+      timeoutSeconds: DEFAULT_TIMEOUT_SECONDS,
+      stop: '',
       isDefault: false,
       deploymentName: '',
       apiVersion: '2024-02-15-preview',
-      instanceName: ''
+      instanceName: '',
+      customHeaders: ''
     });
     setIsEditing(false);
     setEditingIndex(-1);
@@ -114,6 +282,8 @@ const Settings = ({ onSave }) => {
       const newConfigs = configurations.filter((_, i) => i !== index);
       setConfigurations(newConfigs);
       localStorage.setItem('llmConfigurations', JSON.stringify(newConfigs));
+      renameRoutedConfiguration(configurations[index].name);
+      setRouting(getModelRouting());
     }
   };
 
@@ -166,104 +336,121 @@ const Settings = ({ onSave }) => {
                 <select
                   name="provider"
                   value={currentConfig.provider}
-                  onChange={handleInputChange}
+                  onChange={handleProviderChange}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  <option value="ollama">Ollama (Local)</option>
-                  <option value="openai">OpenAI</option>
-                  <option value="anthropic">Anthropic</option>
-                  <option value="mistral">Mistral</option>
-                  <option value="cohere">Cohere</option>
-                  <option value="azure">Azure</option>
+                  {Object.entries(LLM_PROVIDERS).map(([value, provider]) => (
+                    <option key={value} value={value}>{provider.label}</option>
+                  ))}
                 </select>
               </div>
 
-              {currentConfig.provider === 'azure' ? (
-                <>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Instance Name
-                    </label>
-                    <input
-                      type="text"
-                      name="instanceName"
-                      value={currentConfig.instanceName}
-                      onChange={handleInputChange}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      placeholder="oai-playground-dev-01"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Deployment Name
-                    </label>
-                    <input
-                      type="text"
-                      name="deploymentName"
-                      value={currentConfig.deploymentName}
-                      onChange={handleInputChange}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      placeholder="gpt-4o"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      API Version
-                    </label>
-                    <input
-                      type="text"
-                      name="apiVersion"
-                      value={currentConfig.apiVersion}
-                      onChange={handleInputChange}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      placeholder="2024-02-15-preview"
-                    />
-                  </div>
-                </>
-              ) : (
-                <>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Base URL
-                    </label>
-                    <input
-                      type="url"
-                      name="baseUrl"
-                      value={currentConfig.baseUrl}
-                      onChange={handleInputChange}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      placeholder="http://localhost:11434"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Model
-                    </label>
-                    <input
-                      type="text"
-                      name="model"
-                      value={currentConfig.model}
-                      onChange={handleInputChange}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      placeholder="llama3.1"
-                    />
-                  </div>
-                </>
+              {hasField('instanceName') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Instance Name
+                  </label>
+                  <input
+                    type="text"
+                    name="instanceName"
+                    value={currentConfig.instanceName || ''}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="oai-playground-dev-01"
+                  />
+                </div>
+              )}
+              {hasField('deploymentName') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Deployment Name
+                  </label>
+                  <input
+                    type="text"
+                    name="deploymentName"
+                    value={currentConfig.deploymentName || ''}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="gpt-4o"
+                  />
+                </div>
+              )}
+              {hasField('apiVersion') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    API Version
+                  </label>
+                  <input
+                    type="text"
+                    name="apiVersion"
+                    value={currentConfig.apiVersion || ''}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="2024-02-15-preview"
+                  />
+                </div>
+              )}
+              {hasField('baseUrl') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Base URL
+                  </label>
+                  <input
+                    type="url"
+                    name="baseUrl"
+                    value={currentConfig.baseUrl || ''}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder={LLM_PROVIDERS[currentConfig.provider].defaults.baseUrl}
+                  />
+                </div>
+              )}
+              {hasField('model') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Model
+                  </label>
+                  <input
+                    type="text"
+                    name="model"
+                    value={currentConfig.model || ''}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder={LLM_PROVIDERS[currentConfig.provider].defaults.model || 'Model name'}
+                  />
+                </div>
+              )}
+              {hasField('apiKey') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    API Key (if required)
+                  </label>
+                  <input
+                    type="password"
+                    name="apiKey"
+                    value={currentConfig.apiKey || ''}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Your API key"
+                  />
+                </div>
+              )}
+              {hasField('customHeaders') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Custom Headers
+                  </label>
+                  <textarea
+                    name="customHeaders"
+                    value={currentConfig.customHeaders || ''}
+                    onChange={handleInputChange}
+                    rows={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Authorization: Bearer ..."
+                  />
+                  <p className="text-xs text-gray-500 mt-1">One "Name: value" header per line, sent with every request</p>
+                </div>
               )}
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  API Key (if required)
-                </label>
-                <input
-                  type="password"
-                  name="apiKey"
-                  value={currentConfig.apiKey}
-                  onChange={handleInputChange}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Your API key"
-                />
-              </div>
 
               <div className="grid grid-cols-2 gap-4">
                 <div>
@@ -288,15 +475,65 @@ const Settings = ({ onSave }) => {
                   <input
                     type="number"
                     name="maxTokens"
-                    value={currentConfig.maxTokens}
+                    value={currentConfig.maxTokens ?? ''}
                     onChange={handleInputChange}
                     min="100"
                     max="4096"
+                    disabled={!isOptionSupported(currentConfig.provider, 'maxTokens')}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                    placeholder={isOptionSupported(currentConfig.provider, 'maxTokens') ? 'Provider default' : 'Not supported'}
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Top P
+                  </label>
+                  <input
+                    type="number"
+                    name="topP"
+                    value={currentConfig.topP ?? ''}
+                    onChange={handleInputChange}
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    disabled={!isOptionSupported(currentConfig.provider, 'topP')}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                    placeholder={isOptionSupported(currentConfig.provider, 'topP') ? 'Provider default' : 'Not supported'}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Timeout (seconds)
+                  </label>
+                  <input
+                    type="number"
+                    name="timeoutSeconds"
+                    value={currentConfig.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS}
+                    onChange={handleInputChange}
+                    min="1"
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Stop Sequences
+                </label>
+                <textarea
+                  name="stop"
+                  value={currentConfig.stop || ''}
+                  onChange={handleInputChange}
+                  rows={2}
+                  disabled={!isOptionSupported(currentConfig.provider, 'stop')}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                  placeholder={isOptionSupported(currentConfig.provider, 'stop') ? 'One per line' : 'Not supported by this provider'}
+                />
+              </div>
+
               <div className="flex items-center my-4">
                 <input
                   type="checkbox"
@@ -352,10 +589,14 @@ const Settings = ({ onSave }) => {
                       model: 'llama3.1',
                       temperature: 0.7,
                       maxTokens: 2048,
+                      topP: '',
+                      timeoutSeconds: DEFAULT_TIMEOUT_SECONDS,
+                      stop: '',
                       isDefault: false,
                       deploymentName: '',
                       apiVersion: '2024-02-15-preview',
-                      instanceName: ''
+                      instanceName: '',
+                      customHeaders: ''
                     });
                   }}
                   className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
@@ -391,7 +632,7 @@ const Settings = ({ onSave }) => {
                         )}
                       </h3>
                       <p className="text-sm text-gray-500">
-                        {config.provider} • {config.model}
+                        {LLM_PROVIDERS[config.provider]?.label || config.provider} • {config.model}
                         {config.provider === 'azure' && config.deploymentName && (
                           <span> • {config.deploymentName}</span>
                         )}
@@ -426,6 +667,298 @@ const Settings = ({ onSave }) => {
           )}
         </div>
       </div>
+
+      {/* Model Routing */}
+      <div className="mt-8 bg-white rounded-lg shadow-sm border p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-1">
+          Model Routing
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Each pipeline step runs on the configuration chosen here, or on the default one. When a call keeps failing,
+          the fallback configurations are tried in order. Every record shows which model produced each part.
+        </p>
+
+        <h3 className="text-sm font-medium text-gray-700 mb-2">Pipeline steps</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+          {PIPELINE_STEPS.map(step => (
+            <div key={step.id}>
+              <label className="block text-sm text-gray-600 mb-1">
+                {step.label}
+              </label>
+              <select
+                value={routing.steps[step.id] || ''}
+                onChange={(e) => handleStepRoutingChange(step.id, e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Default configuration</option>
+                {configurations.map(config => (
+                  <option key={config.name} value={config.name}>{config.name}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <h3 className="text-sm font-medium text-gray-700 mb-2">Fallback order</h3>
+        {routing.fallbacks.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-3">No fallbacks: a step fails when its configuration does.</p>
+        ) : (
+          <ol className="space-y-2 mb-3">
+            {routing.fallbacks.map((name, index) => (
+              <li key={name} className="flex items-center justify-between border border-gray-200 rounded-md px-3 py-2 text-sm">
+                <span className="text-gray-900">{index + 1}. {name}</span>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleMoveFallback(index, -1)}
+                    disabled={index === 0}
+                    className="text-xs px-2 py-1 text-gray-600 hover:text-gray-800 disabled:opacity-40"
+                  >
+                    Up
+                  </button>
+                  <button
+                    onClick={() => handleMoveFallback(index, 1)}
+                    disabled={index === routing.fallbacks.length - 1}
+                    className="text-xs px-2 py-1 text-gray-600 hover:text-gray-800 disabled:opacity-40"
+                  >
+                    Down
+                  </button>
+                  <button
+                    onClick={() => handleRemoveFallback(index)}
+                    className="text-xs px-2 py-1 text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+        <select
+          value=""
+          onChange={(e) => e.target.value && handleAddFallback(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Add a fallback configuration...</option>
+          {configurations.filter(config => !routing.fallbacks.includes(config.name)).map(config => (
+            <option key={config.name} value={config.name}>{config.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Analysis Settings */}
+      <div className="mt-8 bg-white rounded-lg shadow-sm border p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-1">
+          Analysis
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Employment gaps longer than the threshold are flagged on the candidate timeline. Resumes written in another
+          language are translated into the analysis language; the original text stays available on each record.
+        </p>
+        <div className="flex items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Gap threshold (months)
+            </label>
+            <input
+              type="number"
+              min="1"
+              name="gapThresholdMonths"
+              value={analysisSettings.gapThresholdMonths}
+              onChange={handleAnalysisSettingChange}
+              className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Analysis language
+            </label>
+            <select
+              name="analysisLanguage"
+              value={analysisSettings.analysisLanguage}
+              onChange={handleAnalysisSettingChange}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {ANALYSIS_LANGUAGES.map(language => (
+                <option key={language.code} value={language.code}>{language.name}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={handleSaveAnalysisSettings}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition-colors duration-200"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+
+      {/* Skills Taxonomy */}
+      <div className="mt-8 bg-white rounded-lg shadow-sm border p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">
+          Skills Taxonomy
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Extracted skills are matched to {BUNDLED_SKILLS.length} built-in skills and their synonyms. Add skills specific to your roles,
+          or extra synonyms for a built-in skill by entering its name.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Skill name
+            </label>
+            <input
+              type="text"
+              name="name"
+              value={newSkill.name}
+              onChange={handleNewSkillChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g., Salesforce"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Category
+            </label>
+            <select
+              name="category"
+              value={newSkill.category}
+              onChange={handleNewSkillChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {SKILL_CATEGORIES.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Synonyms (comma-separated)
+            </label>
+            <input
+              type="text"
+              name="aliases"
+              value={newSkill.aliases}
+              onChange={handleNewSkillChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g., SFDC, Salesforce CRM"
+            />
+          </div>
+          <button
+            onClick={handleAddSkill}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-md transition-colors duration-200"
+          >
+            Add Skill
+          </button>
+        </div>
+        {customSkills.length > 0 && (
+          <ul className="mt-4 divide-y divide-gray-200 border rounded-md">
+            {customSkills.map(skill => (
+              <li key={skill.name} className="flex items-center justify-between px-3 py-2 text-sm">
+                <div>
+                  <span className="font-medium text-gray-900">{skill.name}</span>
+                  <span className="text-gray-500"> • {skill.category}</span>
+                  {skill.aliases.length > 0 && (
+                    <span className="text-gray-500"> • {skill.aliases.join(', ')}</span>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleDeleteSkill(skill.name)}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Extraction Cache */}
+      <div className="mt-8 bg-white rounded-lg shadow-sm border p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">
+              Extraction Cache
+            </h2>
+            <p className="text-sm text-gray-500">
+              {cacheEntries.length} cached resume(s) • {(cacheSize / 1024).toFixed(1)} KB. Re-analyzing the same file with the same resume fields reuses these results; only the {MAX_CACHE_ENTRIES} most recently used are kept.
+            </p>
+          </div>
+          {cacheEntries.length > 0 && (
+            <button
+              onClick={handleClearCache}
+              className="text-sm px-3 py-2 border border-red-300 text-red-600 rounded-md hover:bg-red-50"
+            >
+              Clear Cache
+            </button>
+          )}
+        </div>
+
+        {cacheEntries.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">
+            No cached extractions
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Candidate</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cached</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hits</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {cacheEntries.map(entry => (
+                  <Fragment key={entry.key}>
+                    <tr>
+                      <td className="px-4 py-2 text-gray-900">
+                        <div>{entry.fileName}</div>
+                        <div className="text-xs text-gray-400 font-mono" title={entry.fieldsKey}>{entry.fileHash?.slice(0, 12)}</div>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">{entry.structuredData?.fullName || 'N/A'}</td>
+                      <td className="px-4 py-2 text-gray-500">{new Date(entry.cachedAt).toLocaleString()}</td>
+                      <td className="px-4 py-2 text-gray-500">{entry.hits || 0}</td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => setViewingCacheKey(viewingCacheKey === entry.key ? null : entry.key)}
+                          className="text-xs px-2 py-1 text-gray-600 hover:text-gray-800"
+                        >
+                          {viewingCacheKey === entry.key ? 'Hide' : 'View'}
+                        </button>
+                        <button
+                          onClick={() => handleDeleteCacheEntry(entry.key)}
+                          className="text-xs px-2 py-1 text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                    {viewingCacheKey === entry.key && (
+                      <tr>
+                        <td colSpan="5" className="px-4 py-3 bg-gray-50">
+                          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            <div>
+                              <h4 className="font-medium text-gray-900 mb-1">Raw Text</h4>
+                              <pre className="text-xs text-gray-600 whitespace-pre-wrap max-h-64 overflow-y-auto bg-white p-2 border rounded">{entry.rawText}</pre>
+                            </div>
+                            <div>
+                              <h4 className="font-medium text-gray-900 mb-1">Structured Data</h4>
+                              <pre className="text-xs text-gray-600 whitespace-pre-wrap max-h-64 overflow-y-auto bg-white p-2 border rounded">{JSON.stringify(entry.structuredData, null, 2)}</pre>
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 };
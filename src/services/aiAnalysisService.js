@@ -1,28 +1,97 @@
-import { getDefaultConfiguration } from '../utils/llmConfig.js';
-import { createChatModel } from './llmFactory.js';
+import { PIPELINE_STEPS } from '../utils/llmConfig.js';
+import { createStepModels, createStructuredModel, withTextOutputFallback } from './llmFactory.js';
+import { getSectionText } from '../utils/resumeSections.js';
+import { FIELD_SOURCES, describeField, describeFields, assignPages } from '../utils/fieldProvenance.js';
+import { normalizeWorkExperience, computeExperienceYears } from '../utils/experienceDates.js';
+import { analyzeCareerTimeline } from '../utils/careerTimeline.js';
+import { getAnalysisSettings } from '../utils/analysisSettings.js';
+import { parseAddress, inferCountry, normalizePhone } from '../utils/contactNormalization.js';
+import { parseName } from '../utils/personName.js';
+import { getCandidateIdentity } from '../utils/candidateIdentity.js';
+import { detectLanguage, getLanguageName, getTranslationInstruction } from '../utils/languageDetection.js';
+import { getSkillsTaxonomy, normalizeSkills, groupSkillsByCategory, matchRequiredSkills } from '../utils/skillsTaxonomy.js';
+import { buildOutputSchema, validateOutput } from '../utils/outputSchema.js';
 import { PromptTemplate } from '@langchain/core/prompts';
 import { RunnableSequence } from '@langchain/core/runnables';
 import { JsonOutputParser } from '@langchain/core/output_parsers';
 import { BaseOutputParser } from '@langchain/core/output_parsers';
 
+// Times an output that fails schema validation is sent back to the model to be fixed
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Example objects shown in the extraction prompts; the output schemas are derived from them
+const PERSONAL_INFO_EXAMPLE = {
+  fullName: 'John Doe',
+  email: 'john.doe@email.com',
+  phone: '+1-555-123-4567',
+  address: '123 Main St, City, State 12345',
+  linkedin: 'https://linkedin.com/in/johndoe',
+  github: 'https://github.com/johndoe',
+  website: 'https://johndoe.com',
+  summary: 'Brief professional summary or objective'
+};
+
+const EDUCATION_EXAMPLE = {
+  education: [
+    {
+      institution: 'University Name',
+      degree: 'Bachelor of Science in Computer Science',
+      fieldOfStudy: 'Computer Science',
+      graduationYear: '2020',
+      gpa: '3.8',
+      location: 'City, State',
+      honors: 'Magna Cum Laude'
+    }
+  ],
+  certifications: [
+    {
+      name: 'AWS Certified Solutions Architect',
+      issuer: 'Amazon Web Services',
+      date: '2023',
+      expiryDate: '2026'
+    }
+  ]
+};
+
+const WORK_EXPERIENCE_EXAMPLE = {
+  workExperience: [
+    {
+      company: 'Company Name',
+      position: 'Software Engineer',
+      startDate: '2020-01',
+      endDate: '2023-12',
+      current: false,
+      location: 'San Francisco, CA',
+      description: 'Detailed job description and responsibilities',
+      achievements: ['Achievement 1', 'Achievement 2'],
+      technologies: ['JavaScript', 'React', 'Node.js']
+    }
+  ],
+  projects: [
+    {
+      name: 'Project Name',
+      description: 'Project description',
+      technologies: ['React', 'Node.js'],
+      url: 'https://project-url.com',
+      date: '2023'
+    }
+  ]
+};
+
 // Custom output parser with better error handling
+// Unparseable replies throw, so they are retried and routed to the next configuration
+// instead of passing validation as a placeholder
 class RobustJsonOutputParser extends BaseOutputParser {
-  constructor(fallbackValue = {}) {
-    super();
-    this.fallbackValue = fallbackValue;
-  }
-
   async parse(text) {
-    try {
-      // Try to extract JSON from the response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+    // Try to extract JSON from the response
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
       throw new Error('No valid JSON found in response');
+    }
+    try {
+      return JSON.parse(jsonMatch[0]);
     } catch (error) {
-      console.warn('Failed to parse JSON response, using fallback:', error.message);
-      return this.fallbackValue;
+      throw new Error(`Failed to parse JSON response: ${error.message}`);
     }
   }
 
@@ -41,12 +110,19 @@ export class AIAnalysisService {
     this.initializeChains();
   }
 
-  createRobustChain(prompt, model, fallbackValue = {}) {
-    return RunnableSequence.from([
+  // Uses the provider's native structured output for the schema when it has one; otherwise
+  // (or when the model rejects it) the reply is parsed as text
+  createRobustChain(prompt, model, { schema, name } = {}) {
+    const textChain = RunnableSequence.from([
       prompt,
       model,
-      new RobustJsonOutputParser(fallbackValue)
+      new RobustJsonOutputParser()
     ]);
+    const structuredModel = schema ? createStructuredModel(model, schema, name) : null;
+    if (structuredModel) {
+      return withTextOutputFallback(RunnableSequence.from([prompt, structuredModel]), textChain, model);
+    }
+    return textChain;
   }
 
   // Simple retry mechanism for better reliability
@@ -76,6 +152,47 @@ export class AIAnalysisService {
     throw lastError;
   }
 
+  // Validates a chain's output against its schema, coercing values where that's safe. Output that
+  // still doesn't match goes back to the model with the errors, at most MAX_REPAIR_ATTEMPTS times.
+  // Returns { value, invalidFields } with the fields that never passed
+  async repairOutput(output, model, { schema, name }) {
+    let best = validateOutput(output, schema);
+    for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS && best.errors.length > 0; attempt++) {
+      console.warn(`${name} output failed validation, repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}:`, best.errors);
+      try {
+        const repairChain = this.createRobustChain(this.repairPrompt, model, { schema, name });
+        const repaired = validateOutput(await repairChain.invoke({
+          schema: JSON.stringify(schema, null, 2),
+          response: JSON.stringify(best.value, null, 2),
+          errors: best.errors.map(error => `- ${error.path}: ${error.message}`).join('\n')
+        }), schema);
+        if (repaired.errors.length <= best.errors.length) best = repaired;
+      } catch (error) {
+        console.warn(`Repairing ${name} output failed:`, error.message);
+        break;
+      }
+    }
+    return { value: best.value, invalidFields: best.invalidFields };
+  }
+
+  // Runs the chain built by createChain on each routed model ({ model, label }) in turn until one
+  // succeeds, so an outage of one provider falls through to the next configuration.
+  // Returns the validated output and the label of the model that produced it
+  async executeRouted(models, createChain, input, schemaOptions) {
+    let lastError;
+    for (const { model, label } of models) {
+      try {
+        const output = await this.executeWithRetry(createChain(model), input);
+        const { value, invalidFields } = await this.repairOutput(output, model, schemaOptions);
+        return { value, invalidFields, producedBy: label };
+      } catch (error) {
+        lastError = error;
+        console.warn(`${label} failed${models.length > 1 ? ', trying the next configuration' : ''}:`, error.message);
+      }
+    }
+    throw lastError;
+  }
+
   // Method to create streaming chains for real-time updates
   createStreamingChain(prompt, model) {
     return RunnableSequence.from([
@@ -85,12 +202,12 @@ export class AIAnalysisService {
   }
 
   // Method to stream extraction progress
-  async streamExtractionProgress(rawText, model, onProgress) {
+  async streamExtractionProgress(rawText, models, onProgress, sections = {}) {
     const steps = [
-      { name: 'Personal Information', method: this.extractPersonalInfo.bind(this) },
-      { name: 'Education', method: this.extractEducation.bind(this) },
-      { name: 'Work Experience', method: this.extractWorkExperience.bind(this) },
-      { name: 'Additional Fields', method: this.extractAdditionalFields.bind(this) }
+      { name: 'Personal Information', section: 'personalInfo', method: this.extractPersonalInfo.bind(this) },
+      { name: 'Education', section: 'education', method: this.extractEducation.bind(this) },
+      { name: 'Work Experience', section: 'workExperience', method: this.extractWorkExperience.bind(this) },
+      { name: 'Additional Fields', section: 'additionalFields', method: this.extractAdditionalFields.bind(this) }
     ];
 
     const results = {};
@@ -99,11 +216,12 @@ export class AIAnalysisService {
       const step = steps[i];
       try {
         onProgress?.(`Extracting ${step.name}...`, (i + 1) / steps.length);
+        const stepText = getSectionText(sections, step.section, rawText);
         
         if (step.name === 'Additional Fields') {
-          results[step.name.toLowerCase().replace(/\s+/g, '')] = await step.method(rawText, {}, model);
+          results[step.name.toLowerCase().replace(/\s+/g, '')] = await step.method(stepText, {}, models[step.section]);
         } else {
-          results[step.name.toLowerCase().replace(/\s+/g, '')] = await step.method(rawText, model);
+          results[step.name.toLowerCase().replace(/\s+/g, '')] = await step.method(stepText, models[step.section]);
         }
       } catch (error) {
         console.error(`Error in ${step.name} extraction:`, error);
@@ -115,18 +233,18 @@ export class AIAnalysisService {
   }
 
   // Create a comprehensive extraction pipeline using LangChain
-  createExtractionPipeline(model, resumeFields = {}) {
+  createExtractionPipeline(models, resumeFields = {}) {
     const pipeline = RunnableSequence.from([
       // Input transformation
-      (input) => ({ rawText: input.rawText, resumeFields: input.resumeFields || resumeFields }),
+      (input) => ({ rawText: input.rawText, sections: input.sections || {}, resumeFields: input.resumeFields || resumeFields }),
       
-      // Parallel extraction of different data types
+      // Parallel extraction of different data types, each on its own section slice
       async (input) => {
         const [personalInfo, educationInfo, workExperienceInfo, additionalFields] = await Promise.allSettled([
-          this.extractPersonalInfo(input.rawText, model),
-          this.extractEducation(input.rawText, model),
-          this.extractWorkExperience(input.rawText, model),
-          this.extractAdditionalFields(input.rawText, input.resumeFields, model)
+          this.extractPersonalInfo(getSectionText(input.sections, 'personalInfo', input.rawText), models.personalInfo),
+          this.extractEducation(getSectionText(input.sections, 'education', input.rawText), models.education),
+          this.extractWorkExperience(getSectionText(input.sections, 'workExperience', input.rawText), models.workExperience),
+          this.extractAdditionalFields(getSectionText(input.sections, 'additionalFields', input.rawText), input.resumeFields, models.additionalFields)
         ]);
 
         return {
@@ -147,16 +265,7 @@ export class AIAnalysisService {
     this.personalInfoPrompt = PromptTemplate.fromTemplate(`
 Extract personal information from the following resume text. Return ONLY a valid JSON object with the exact structure shown below:
 
-{{
-  "fullName": "John Doe",
-  "email": "john.doe@email.com",
-  "phone": "+1-555-123-4567",
-  "address": "123 Main St, City, State 12345",
-  "linkedin": "https://linkedin.com/in/johndoe",
-  "github": "https://github.com/johndoe",
-  "website": "https://johndoe.com",
-  "summary": "Brief professional summary or objective"
-}}
+{schema}
 
 RESUME TEXT:
 {rawText}
@@ -168,33 +277,13 @@ Instructions:
 - For URLs, include the full URL
 - For summary, extract the professional summary or objective section
 - Return ONLY the JSON object, no additional text
-`);
+{languageInstruction}`);
 
     // Education Information Extraction Chain
     this.educationPrompt = PromptTemplate.fromTemplate(`
 Extract education information from the following resume text. Return ONLY a valid JSON object with the exact structure shown below:
 
-{{
-  "education": [
-    {{
-      "institution": "University Name",
-      "degree": "Bachelor of Science in Computer Science",
-      "fieldOfStudy": "Computer Science",
-      "graduationYear": "2020",
-      "gpa": "3.8",
-      "location": "City, State",
-      "honors": "Magna Cum Laude"
-    }}
-  ],
-  "certifications": [
-    {{
-      "name": "AWS Certified Solutions Architect",
-      "issuer": "Amazon Web Services",
-      "date": "2023",
-      "expiryDate": "2026"
-    }}
-  ]
-}}
+{schema}
 
 RESUME TEXT:
 {rawText}
@@ -205,36 +294,13 @@ Instructions:
 - Use "N/A" for missing fields
 - For dates, use YYYY format
 - Return ONLY the JSON object, no additional text
-`);
+{languageInstruction}`);
 
     // Work Experience Extraction Chain
     this.workExperiencePrompt = PromptTemplate.fromTemplate(`
 Extract work experience from the following resume text. Return ONLY a valid JSON object with the exact structure shown below:
 
-{{
-  "workExperience": [
-    {{
-      "company": "Company Name",
-      "position": "Software Engineer",
-      "startDate": "2020-01",
-      "endDate": "2023-12",
-      "current": false,
-      "location": "San Francisco, CA",
-      "description": "Detailed job description and responsibilities",
-      "achievements": ["Achievement 1", "Achievement 2"],
-      "technologies": ["JavaScript", "React", "Node.js"]
-    }}
-  ],
-  "projects": [
-    {{
-      "name": "Project Name",
-      "description": "Project description",
-      "technologies": ["React", "Node.js"],
-      "url": "https://project-url.com",
-      "date": "2023"
-    }}
-  ]
-}}
+{schema}
 
 RESUME TEXT:
 {rawText}
@@ -247,7 +313,7 @@ Instructions:
 - For dates, use YYYY-MM format
 - Set "current": true for ongoing positions
 - Return ONLY the JSON object, no additional text
-`);
+{languageInstruction}`);
 
     // Additional Fields Extraction Chain
     this.additionalFieldsPrompt = PromptTemplate.fromTemplate(`
@@ -262,6 +328,25 @@ Instructions:
 {instructions}
 - Use "N/A" for missing fields
 - Return ONLY the JSON object, no additional text
+{languageInstruction}`);
+
+    // Output Repair Chain
+    this.repairPrompt = PromptTemplate.fromTemplate(`
+The JSON below does not match the required structure. Return ONLY the corrected JSON object.
+
+REQUIRED STRUCTURE (JSON Schema):
+{schema}
+
+JSON TO FIX:
+{response}
+
+PROBLEMS:
+{errors}
+
+Instructions:
+- Fix the listed problems and keep every other value as it is
+- Use "N/A" for text and [] for lists you cannot fill
+- Return ONLY the JSON object, no additional text
 `);
 
     // Final Analysis Chain
@@ -281,6 +366,15 @@ Education: {educationInfo}
 Work Experience: {workExperienceInfo}
 Additional Fields: {additionalFields}
 
+SKILL MATCH (skills named in the job details, matched against the candidate's normalized skills):
+Required: {requiredSkills}
+Matched: {matchedSkills}
+Missing: {missingSkills}
+
+COMPUTED EXPERIENCE (from work history dates, overlapping roles merged, as of {experienceAsOf}):
+Total: {totalYears} years
+Relevant to this job: {relevantYears} years
+
 RAW RESUME TEXT (for verification only):
 {rawText}
 
@@ -291,8 +385,11 @@ Instructions:
 - Prioritize the structured data; only use raw text to confirm or add missing details
 - Score the overall match from 1-10 (10 being perfect)
 - Analyze skills match, experience match, and education match with concise reasoning
+- Base the skills match on the skill match lists above; treat skill synonyms as already resolved
+- Use the computed experience figures for years of experience; do not estimate them from the resume yourself
 - Provide specific strengths, gaps, and actionable recommendations
 - Be factual and avoid hallucinations; respond ONLY with a valid JSON object
+- Write all text values in {analysisLanguage}
 `);
   }
 
@@ -313,14 +410,10 @@ Instructions:
         throw new Error('Analysis not found');
       }
 
-      // Get LLM configuration
-      const llmConfig = getDefaultConfiguration();
-      if (!llmConfig) {
-        throw new Error('No LLM configuration found. Please configure your LLM settings first.');
-      }
-
-      // Initialize LLM
-      const model = await createChatModel(llmConfig);
+      // Models per pipeline step: the step's routed configuration first, then the fallbacks
+      const models = Object.fromEntries(await Promise.all(
+        PIPELINE_STEPS.filter(step => step.id !== 'extraction').map(async step => [step.id, await createStepModels(step.id)])
+      ));
 
       // Check if we have extracted resume data to process
       if (!extractedResumeData || extractedResumeData.length === 0) {
@@ -339,9 +432,22 @@ Instructions:
         try {
           const resumeData = extractedResumeData[i];
           console.log(`Processing resume ${i + 1}/${totalResumes}: ${resumeData.fileName || 'Unknown'}`);
+
+          // Files that could not be read are recorded as failed or skipped, never scored
+          if (resumeData.error || !resumeData.rawText) {
+            addAnalysisRecord(analysisId, {
+              fullName: resumeData.fileName || `Resume ${i + 1}`,
+              fileName: resumeData.fileName,
+              status: resumeData.skipReason ? 'skipped' : 'failed',
+              skipReason: resumeData.skipReason,
+              error: resumeData.error || 'No text could be extracted from this file'
+            });
+            incrementProcessedRecords(analysisId);
+            continue;
+          }
           
           // Analyze resume using extracted structured data and raw text
-          const analysisResult = await this.analyzeResume(resumeData, analysis, model);
+          const analysisResult = await this.analyzeResume(resumeData, analysis, models);
           
           // Add analysis record
           addAnalysisRecord(analysisId, analysisResult);
@@ -386,10 +492,12 @@ Instructions:
     }
   }
 
-  async analyzeResume(resumeData, analysisConfig, model) {
+  // models: { [step id]: [{ model, label }] } from createStepModels
+  async analyzeResume(resumeData, analysisConfig, models) {
     try {
       console.log('Starting analysis using extracted structured data...');
-      const { structuredData = {}, rawText = '' } = resumeData || {};
+      const { structuredData: extractedStructuredData, rawText = '', sections = {}, metadata, fileName, reviewedFields } = resumeData || {};
+      const structuredData = extractedStructuredData || {};
 
       // Map structured data to expected sections
       const personalInfoFromExtract = {
@@ -438,16 +546,37 @@ Instructions:
         });
       }
 
+      // Resumes in another language are extracted in the analysis language; originals are kept for display
+      const language = metadata?.language || detectLanguage(rawText);
+      const { analysisLanguage } = getAnalysisSettings();
+      const languageInstruction = getTranslationInstruction(language, analysisLanguage);
+      const originalFields = { ...(structuredData.original || {}) };
+      // Fields whose LLM output never matched its schema, from extraction and any re-extraction here
+      const invalidFields = new Set(structuredData.invalidFields || []);
+      // Which configuration produced each part of the record, by pipeline step
+      const modelsUsed = metadata?.extractionModel ? { extraction: metadata.extractionModel } : {};
+      const unpackSection = (section, step) => {
+        if (!section) return section;
+        const { original, invalidFields: sectionInvalidFields, producedBy, ...rest } = section;
+        if (original) Object.assign(originalFields, original);
+        if (producedBy) modelsUsed[step] = producedBy;
+        if (sectionInvalidFields) {
+          Object.keys(rest).forEach(key => invalidFields.delete(key));
+          sectionInvalidFields.forEach(field => invalidFields.add(field));
+        }
+        return rest;
+      };
+
       // Optional fallback: if critical sections are empty, attempt LLM extraction from raw text
       const needsPersonal = !personalInfoFromExtract.fullName || personalInfoFromExtract.fullName === 'N/A';
       const needsEducation = educationList.length === 0;
       const needsWork = workExperienceList.length === 0;
 
-      const [personalInfo, educationInfo, workExperienceInfo] = await Promise.all([
-        needsPersonal ? this.extractPersonalInfo(rawText, model) : Promise.resolve(personalInfoFromExtract),
-        needsEducation ? this.extractEducation(rawText, model) : Promise.resolve(educationInfoFromExtract),
-        needsWork ? this.extractWorkExperience(rawText, model) : Promise.resolve(workExperienceInfoFromExtract)
-      ]);
+      const [personalInfo, educationInfo, workExperienceInfo] = (await Promise.all([
+        needsPersonal ? this.extractPersonalInfo(getSectionText(sections, 'personalInfo', rawText), models.personalInfo, languageInstruction) : Promise.resolve(personalInfoFromExtract),
+        needsEducation ? this.extractEducation(getSectionText(sections, 'education', rawText), models.education, languageInstruction) : Promise.resolve(educationInfoFromExtract),
+        needsWork ? this.extractWorkExperience(getSectionText(sections, 'workExperience', rawText), models.workExperience, languageInstruction) : Promise.resolve(workExperienceInfoFromExtract)
+      ])).map((section, index) => unpackSection(section, ['personalInfo', 'education', 'workExperience'][index]));
 
       // Additional fields: if none present and config requests them, try extracting
       let additionalFields = additionalFieldsFromExtract;
@@ -461,21 +590,93 @@ Instructions:
       );
       const hasAdditional = Object.keys(additionalFieldsFromExtract).length > 0;
       if (wantsAdditional && !hasAdditional) {
-        additionalFields = await this.extractAdditionalFields(rawText, analysisConfig.resumeFields || {}, model);
+        additionalFields = unpackSection(
+          await this.extractAdditionalFields(getSectionText(sections, 'additionalFields', rawText), analysisConfig.resumeFields || {}, models.additionalFields, languageInstruction),
+          'additionalFields'
+        );
       }
 
+      // Dates are normalized and years of experience computed from them; the model's own estimate is never used
+      const referenceDate = new Date(analysisConfig?.createdAt || Date.now());
+      const experienceYears = computeExperienceYears(workExperienceInfo.workExperience, {
+        jobDetails: analysisConfig?.jobDetails,
+        referenceDate
+      });
+      const normalizedWorkExperienceInfo = {
+        ...workExperienceInfo,
+        workExperience: normalizeWorkExperience(workExperienceInfo.workExperience, referenceDate)
+      };
+      const careerTimeline = analyzeCareerTimeline(workExperienceInfo.workExperience, {
+        referenceDate,
+        gapThresholdMonths: getAnalysisSettings().gapThresholdMonths
+      });
+      // Skills are mapped onto the taxonomy so the same skill reads the same for every candidate
+      const taxonomy = getSkillsTaxonomy();
+      const normalizedSkills = normalizeSkills(additionalFields.skills, taxonomy);
+      const skillMatch = matchRequiredSkills(normalizedSkills, analysisConfig?.jobDetails, taxonomy);
+      const normalizedAdditionalFields = Array.isArray(additionalFields.skills)
+        ? { ...additionalFields, skills: normalizedSkills.map(skill => skill.name) }
+        : additionalFields;
+      // Phone numbers in E.164, read in the candidate's country (from the address) or the job's
+      const location = parseAddress(personalInfo.address);
+      const phoneDetails = normalizePhone(personalInfo.phone, [location?.country, inferCountry(analysisConfig?.jobDetails?.location)]);
+      // Names split into parts; the identity key recognizes the candidate in other analyses
+      const nameParts = parseName(personalInfo.fullName);
+      const candidateIdentity = getCandidateIdentity({ email: personalInfo.email, phoneDetails, name: nameParts });
+      const personalInfoWithoutEstimate = {
+        ...personalInfo,
+        ...(phoneDetails?.valid ? { phone: phoneDetails.e164 } : {}),
+        ...(nameParts ? { fullName: nameParts.full } : {})
+      };
+      delete personalInfoWithoutEstimate.experience;
+
+      const fieldProvenance = this.buildFieldProvenance(structuredData.fieldProvenance, rawText, metadata, {
+        personalInfo: needsPersonal && personalInfo,
+        educationInfo: needsEducation && educationInfo,
+        workExperienceInfo: needsWork && workExperienceInfo,
+        additionalFields: additionalFields !== additionalFieldsFromExtract && additionalFields
+      }, originalFields);
+
       // Final analysis
-      const analysisResult = await this.performFinalAnalysis({
-        personalInfo,
+      const { producedBy: finalAnalysisModel, ...analysisResult } = await this.performFinalAnalysis({
+        personalInfo: personalInfoWithoutEstimate,
         educationInfo,
-        workExperienceInfo,
-        additionalFields,
+        workExperienceInfo: normalizedWorkExperienceInfo,
+        additionalFields: normalizedAdditionalFields,
+        experienceYears,
+        skillMatch,
+        analysisLanguage,
         jobDetails: analysisConfig.jobDetails,
         outputFields: analysisConfig.outputFields,
         rawText
-      }, model);
+      }, models.finalAnalysis);
+      if (finalAnalysisModel) modelsUsed.finalAnalysis = finalAnalysisModel;
 
-      return analysisResult;
+      return {
+        ...analysisResult,
+        fileName,
+        // Where the text came from: pdf, docx, image (photo/scan read with OCR), ...
+        sourceFormat: metadata?.format || 'pdf',
+        fieldProvenance,
+        ...(language ? { language } : {}),
+        analysisLanguage,
+        // Field values as written in the resume, for fields translated into the analysis language
+        ...(Object.keys(originalFields).length ? { originalFields } : {}),
+        // Fields whose model output failed schema validation even after repair
+        invalidFields: [...new Set([...invalidFields, ...(analysisResult.invalidFields || [])])],
+        modelsUsed,
+        // Fields (and rawText) corrected by hand in the review step
+        ...(reviewedFields?.length ? { reviewedFields } : {}),
+        careerTimeline,
+        ...(phoneDetails ? { phoneDetails } : {}),
+        ...(location ? { location } : {}),
+        ...(nameParts ? { nameParts } : {}),
+        candidateIdentity,
+        skillCategories: groupSkillsByCategory(normalizedSkills),
+        skillMatch,
+        ...(metadata?.ocr ? { ocr: metadata.ocr } : {}),
+        ...(metadata?.suspiciousContent ? { suspiciousContent: metadata.suspiciousContent } : {})
+      };
     } catch (error) {
       console.error('Multi-step extraction failed:', error);
       throw new Error(`LLM analysis failed: ${error.message}`);
@@ -483,29 +684,42 @@ Instructions:
   }
 
 
-  async extractPersonalInfo(rawText, model) {
+  // Provenance from the extraction step, updated for any section re-extracted here from raw text
+  buildFieldProvenance(extracted = {}, rawText, metadata, reextracted = {}, originalFields = {}) {
+    const provenance = { ...(extracted || {}) };
+    Object.values(reextracted).filter(Boolean).forEach(section => {
+      // Translated values are checked through their originals
+      const originals = Object.fromEntries(Object.keys(section).filter(key => key in originalFields).map(key => [key, originalFields[key]]));
+      Object.assign(provenance, describeFields({ ...section, ...originals }, FIELD_SOURCES.llm, { text: rawText }));
+    });
+    if (reextracted.personalInfo) {
+      // extractPersonalInfo overlays these from regex matches
+      Object.entries(this.regexOverlayContact(rawText)).forEach(([key, value]) => {
+        provenance[key] = describeField(value, FIELD_SOURCES.regex, { text: rawText });
+      });
+    }
+    return assignPages(provenance, metadata?.pageOffsets);
+  }
+
+  async extractPersonalInfo(rawText, models, languageInstruction = '') {
     try {
       // Create the extraction chain
-      const personalInfoChain = this.createRobustChain(
+      const schemaOptions = { schema: buildOutputSchema(PERSONAL_INFO_EXAMPLE, { withOriginal: Boolean(languageInstruction) }), name: 'personal_info' };
+      const createPersonalInfoChain = (model) => this.createRobustChain(
         this.personalInfoPrompt,
         model,
-        {
-          fullName: 'N/A',
-          email: 'N/A',
-          phone: 'N/A',
-          address: 'N/A',
-          linkedin: 'N/A',
-          github: 'N/A',
-          website: 'N/A',
-          summary: 'N/A'
-        }
+        schemaOptions
       );
 
-      // Execute the chain with retry logic
-      const result = await this.executeWithRetry(personalInfoChain, { rawText });
+      // Run on each routed model in turn until one succeeds
+      const { value, invalidFields, producedBy } = await this.executeRouted(models, createPersonalInfoChain, {
+        rawText,
+        schema: JSON.stringify(PERSONAL_INFO_EXAMPLE, null, 2),
+        languageInstruction
+      }, schemaOptions);
       // Deterministic overlay for contact info
       const overlay = this.regexOverlayContact(rawText);
-      return { ...result, ...overlay };
+      return { ...value, ...overlay, invalidFields: invalidFields.filter(field => !(field in overlay)), producedBy };
     } catch (error) {
       console.error('Error extracting personal info:', error);
       return {
@@ -521,21 +735,23 @@ Instructions:
     }
   }
 
-  async extractEducation(rawText, model) {
+  async extractEducation(rawText, models, languageInstruction = '') {
     try {
       // Create the extraction chain
-      const educationChain = this.createRobustChain(
+      const schemaOptions = { schema: buildOutputSchema(EDUCATION_EXAMPLE, { withOriginal: Boolean(languageInstruction) }), name: 'education' };
+      const createEducationChain = (model) => this.createRobustChain(
         this.educationPrompt,
         model,
-        {
-          education: [],
-          certifications: []
-        }
+        schemaOptions
       );
 
-      // Execute the chain with retry logic
-      const result = await this.executeWithRetry(educationChain, { rawText });
-      return result;
+      // Run on each routed model in turn until one succeeds
+      const { value, invalidFields, producedBy } = await this.executeRouted(models, createEducationChain, {
+        rawText,
+        schema: JSON.stringify(EDUCATION_EXAMPLE, null, 2),
+        languageInstruction
+      }, schemaOptions);
+      return { ...value, invalidFields, producedBy };
     } catch (error) {
       console.error('Error extracting education:', error);
       return {
@@ -545,21 +761,23 @@ Instructions:
     }
   }
 
-  async extractWorkExperience(rawText, model) {
+  async extractWorkExperience(rawText, models, languageInstruction = '') {
     try {
       // Create the extraction chain
-      const workExperienceChain = this.createRobustChain(
+      const schemaOptions = { schema: buildOutputSchema(WORK_EXPERIENCE_EXAMPLE, { withOriginal: Boolean(languageInstruction) }), name: 'work_experience' };
+      const createWorkExperienceChain = (model) => this.createRobustChain(
         this.workExperiencePrompt,
         model,
-        {
-          workExperience: [],
-          projects: []
-        }
+        schemaOptions
       );
 
-      // Execute the chain with retry logic
-      const result = await this.executeWithRetry(workExperienceChain, { rawText });
-      return result;
+      // Run on each routed model in turn until one succeeds
+      const { value, invalidFields, producedBy } = await this.executeRouted(models, createWorkExperienceChain, {
+        rawText,
+        schema: JSON.stringify(WORK_EXPERIENCE_EXAMPLE, null, 2),
+        languageInstruction
+      }, schemaOptions);
+      return { ...value, invalidFields, producedBy };
     } catch (error) {
       console.error('Error extracting work experience:', error);
       return {
@@ -569,7 +787,7 @@ Instructions:
     }
   }
 
-  async extractAdditionalFields(rawText, resumeFields, model) {
+  async extractAdditionalFields(rawText, resumeFields, models, languageInstruction = '') {
     try {
       // Build the JSON schema based on selected resume fields
       const schema = {};
@@ -642,20 +860,22 @@ Instructions:
       }
 
       // Create the extraction chain
-      const additionalFieldsChain = this.createRobustChain(
+      const schemaOptions = { schema: buildOutputSchema(schema, { withOriginal: Boolean(languageInstruction) }), name: 'additional_fields' };
+      const createAdditionalFieldsChain = (model) => this.createRobustChain(
         this.additionalFieldsPrompt,
         model,
-        schema
+        schemaOptions
       );
 
-      // Execute the chain with retry logic
-      const result = await this.executeWithRetry(additionalFieldsChain, { 
+      // Run on each routed model in turn until one succeeds
+      const { value, invalidFields, producedBy } = await this.executeRouted(models, createAdditionalFieldsChain, { 
         rawText, 
         schema: JSON.stringify(schema, null, 2),
-        instructions: instructions.join('\n')
-      });
+        instructions: instructions.join('\n'),
+        languageInstruction
+      }, schemaOptions);
       
-      return result;
+      return { ...value, invalidFields, producedBy };
     } catch (error) {
       console.error('Error extracting additional fields:', error);
       const errorResult = {};
@@ -680,28 +900,25 @@ Instructions:
     }
   }
 
-  async performFinalAnalysis(extractedData, model) {
-    const { personalInfo, educationInfo, workExperienceInfo, additionalFields, jobDetails, outputFields, rawText } = extractedData;
+  async performFinalAnalysis(extractedData, models) {
+    const { personalInfo, educationInfo, workExperienceInfo, additionalFields, experienceYears, skillMatch, analysisLanguage, jobDetails, outputFields, rawText } = extractedData;
+    const computedExperience = {
+      experience: experienceYears.totalYears,
+      relevantExperience: experienceYears.relevantYears,
+      experienceYears
+    };
     
     try {
       // Create the final analysis chain
-      const finalAnalysisChain = this.createRobustChain(
+      const schemaOptions = { schema: buildOutputSchema(this.buildAnalysisExample(outputFields)), name: 'candidate_analysis' };
+      const createFinalAnalysisChain = (model) => this.createRobustChain(
         this.finalAnalysisPrompt,
         model,
-        {
-          overallScore: 0,
-          skillsMatch: 'Analysis failed',
-          experienceMatch: 'Analysis failed',
-          educationMatch: 'Analysis failed',
-          summary: 'Analysis failed',
-          strengths: 'Analysis failed',
-          weaknesses: 'Analysis failed',
-          recommendations: 'Analysis failed'
-        }
+        schemaOptions
       );
 
-      // Execute the chain with retry logic
-      const analysis = await this.executeWithRetry(finalAnalysisChain, {
+      // Run on each routed model in turn until one succeeds
+      const { value: analysis, invalidFields, producedBy } = await this.executeRouted(models, createFinalAnalysisChain, {
         jobTitle: jobDetails.title,
         jobDescription: jobDetails.description || 'N/A',
         jobRequirements: jobDetails.requirements || 'N/A',
@@ -711,9 +928,16 @@ Instructions:
         educationInfo: JSON.stringify(educationInfo, null, 2),
         workExperienceInfo: JSON.stringify(workExperienceInfo, null, 2),
         additionalFields: JSON.stringify(additionalFields, null, 2),
+        requiredSkills: skillMatch.required.join(', ') || 'None named',
+        matchedSkills: skillMatch.matched.join(', ') || 'None',
+        missingSkills: skillMatch.missing.join(', ') || 'None',
+        totalYears: experienceYears.totalYears,
+        relevantYears: experienceYears.relevantYears,
+        experienceAsOf: experienceYears.asOf,
         analysisSchema: this.generateJsonSchema(outputFields),
+        analysisLanguage: getLanguageName(analysisLanguage || 'en'),
         rawText: rawText || ''
-      });
+      }, schemaOptions);
       
       // Combine all extracted data with analysis results
       return {
@@ -722,6 +946,9 @@ Instructions:
         ...workExperienceInfo,
         ...additionalFields,
         ...analysis,
+        ...computedExperience,
+        invalidFields,
+        producedBy,
         status: 'completed',
         analyzedAt: new Date().toISOString()
       };
@@ -732,6 +959,7 @@ Instructions:
         ...educationInfo,
         ...workExperienceInfo,
         ...additionalFields,
+        ...computedExperience,
         status: 'failed',
         error: error.message,
         analyzedAt: new Date().toISOString()
@@ -741,6 +969,11 @@ Instructions:
 
 
   generateJsonSchema(outputFields) {
+    return JSON.stringify(this.buildAnalysisExample(outputFields), null, 2);
+  }
+
+  // Example analysis object for the selected output fields
+  buildAnalysisExample(outputFields) {
     const schema = {};
     
     // Add default fields that are selected
@@ -777,7 +1010,7 @@ Instructions:
       });
     }
 
-    return JSON.stringify(schema, null, 2);
+    return schema;
   }
 
 
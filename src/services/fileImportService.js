@@ -0,0 +1,153 @@
+import JSZip from "jszip";
+import { pdfExtractionService } from "./pdfExtractionService.js";
+import { hashBytes, hashFile, rememberFileHash } from "../utils/fileHash.js";
+
+const MAX_ARCHIVE_DEPTH = 2;
+const IGNORED_ENTRY = /(^|\/)(__MACOSX|\.[^/]*)(\/|$)/;
+
+// File Import Service for bulk resume uploads (ZIP archives, folders, drag & drop)
+export class FileImportService {
+  // Expand archives and folders into supported resume files, deduplicated by content hash
+  async importFiles(files, existingFiles = []) {
+    const accepted = [];
+    const rejected = [];
+    const seen = new Map();
+
+    for (const file of existingFiles) {
+      seen.set(await hashFile(file), file.name);
+    }
+
+    const candidates = [];
+    for (const file of files) {
+      const path = file.webkitRelativePath || file.name;
+      if (this.isZipFile(file)) {
+        await this.expandZip(file, path, candidates, rejected, 1);
+      } else {
+        candidates.push({ file, path });
+      }
+    }
+
+    for (const { file, path } of candidates) {
+      if (!pdfExtractionService.isSupportedFile(file)) {
+        rejected.push({ name: path, reason: 'Unsupported file type' });
+        continue;
+      }
+
+      const bytes = new Uint8Array(await this.readBytes(file));
+      if (!this.hasValidSignature(file, bytes)) {
+        rejected.push({ name: path, reason: 'File is corrupt or not a valid document' });
+        continue;
+      }
+
+      const hash = await hashBytes(bytes);
+      rememberFileHash(file, hash);
+      if (seen.has(hash)) {
+        rejected.push({ name: path, reason: `Duplicate of ${seen.get(hash)}` });
+        continue;
+      }
+
+      seen.set(hash, path);
+      accepted.push(file);
+    }
+
+    return { accepted, rejected };
+  }
+
+  async expandZip(zipFile, zipPath, candidates, rejected, depth) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(await this.readBytes(zipFile));
+    } catch (error) {
+      console.warn(`Failed to open archive ${zipPath}:`, error);
+      rejected.push({ name: zipPath, reason: 'Archive is corrupt or could not be opened' });
+      return;
+    }
+
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !IGNORED_ENTRY.test(entry.name));
+    for (const entry of entries) {
+      const entryPath = `${zipPath}/${entry.name}`;
+      try {
+        const blob = await entry.async('blob');
+        const file = new File([blob], entry.name.split('/').pop(), {
+          type: this.guessMimeType(entry.name),
+          lastModified: entry.date ? entry.date.getTime() : Date.now()
+        });
+
+        if (this.isZipFile(file)) {
+          if (depth < MAX_ARCHIVE_DEPTH) {
+            await this.expandZip(file, entryPath, candidates, rejected, depth + 1);
+          } else {
+            rejected.push({ name: entryPath, reason: 'Nested archive too deep' });
+          }
+        } else {
+          candidates.push({ file, path: entryPath });
+        }
+      } catch (error) {
+        console.warn(`Failed to read archive entry ${entryPath}:`, error);
+        rejected.push({ name: entryPath, reason: 'Archive entry is corrupt' });
+      }
+    }
+  }
+
+  // Collect files from a drag & drop, walking into dropped folders
+  async filesFromDataTransfer(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+      .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      return Array.from(dataTransfer.files || []);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      await this.walkEntry(entry, files);
+    }
+    return files;
+  }
+
+  async walkEntry(entry, files) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push(file);
+      return;
+    }
+
+    if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns results in batches until it yields an empty list
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await this.walkEntry(child, files);
+        }
+      } while (batch.length > 0);
+    }
+  }
+
+  async readBytes(file) {
+    return pdfExtractionService.fileToArrayBuffer(file);
+  }
+
+  // Cheap magic-number check so truncated or mislabelled files are reported up front
+  hasValidSignature(file, bytes) {
+    const header = String.fromCharCode(...bytes.slice(0, 1024));
+    // Text formats have no magic number to check
+    const format = pdfExtractionService.getFormat(file);
+    return format?.hasValidSignature ? format.hasValidSignature(header) : true;
+  }
+
+  isZipFile(file) {
+    const name = file.name.toLowerCase();
+    return name.endsWith('.zip') || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+  }
+
+  guessMimeType(name) {
+    if (name.toLowerCase().endsWith('.zip')) return 'application/zip';
+    return pdfExtractionService.getMimeType(name);
+  }
+}
+
+// Export singleton instance
+export const fileImportService = new FileImportService();
@@ -3,14 +3,126 @@ import { ChatAnthropic } from "@langchain/anthropic";
 import { ChatOllama } from "@langchain/ollama";
 import { ChatMistralAI } from "@langchain/mistralai";
 import { ChatCohere } from "@langchain/cohere";
-export async function createChatModel(config) {
-    const { provider, baseUrl, model, temperature, apiKey, deploymentName, apiVersion, instanceName } = config;
-  
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { RunnableBinding, RunnableLambda } from "@langchain/core/runnables";
+import { parseCustomHeaders, getStepConfigurations } from "../utils/llmConfig.js";
+
+// Used when a saved configuration predates the timeout setting
+export const DEFAULT_TIMEOUT_SECONDS = 120;
+
+export const MODEL_OPTION_LABELS = {
+  temperature: "Temperature",
+  maxTokens: "Max Tokens",
+  topP: "Top P",
+  timeoutSeconds: "Timeout",
+  stop: "Stop Sequences",
+};
+
+// Field each provider uses for a generation option; a missing entry means the provider
+// ignores that option. The timeout is applied per call for every provider.
+const OPENAI_OPTIONS = { temperature: "temperature", maxTokens: "maxTokens", topP: "topP", stop: "stop" };
+const PROVIDER_OPTIONS = {
+  openai: OPENAI_OPTIONS,
+  "openai-compatible": OPENAI_OPTIONS,
+  azure: OPENAI_OPTIONS,
+  anthropic: { temperature: "temperature", maxTokens: "maxTokens", topP: "topP", stop: "stopSequences" },
+  ollama: { temperature: "temperature", maxTokens: "numPredict", topP: "topP", stop: "stop" },
+  gemini: { temperature: "temperature", maxTokens: "maxOutputTokens", topP: "topP", stop: "stopSequences" },
+  mistral: { temperature: "temperature", maxTokens: "maxTokens", topP: "topP" },
+  // ChatCohere only forwards the temperature to the API
+  cohere: { temperature: "temperature" },
+};
+
+// Options a provider only reads from each call rather than from its constructor
+const CALL_OPTIONS = {
+  ollama: ["stop"],
+};
+
+// Providers with a native structured-output or tool-calling mode. OpenAI-compatible servers
+// vary too much to rely on it, so their replies are parsed as text
+const STRUCTURED_OUTPUT_PROVIDERS = new Set(["openai", "azure", "anthropic", "ollama", "gemini", "mistral", "cohere"]);
+
+// Some models of those providers still lack tool calling or response formats (many Ollama models);
+// once one rejects structured output its replies are parsed as text for the rest of the session
+const TEXT_OUTPUT_MODELS = new Set();
+const UNSUPPORTED_STRUCTURED_OUTPUT = /does not support tools|tools? (?:is |are )?not supported|(?:unsupported|invalid|not supported)\W+(?:\w+\W+)?(?:format|response_format|tool)/i;
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === "") return undefined;
+  return Number(value);
+};
+
+// Generation options of a configuration with numbers parsed and empty values dropped
+export const getModelOptions = (config) => {
+  const stop = String(config.stop || "").split("\n").map(line => line.trim()).filter(Boolean);
+  const timeoutSeconds = parseNumber(config.timeoutSeconds);
+  return {
+    temperature: parseNumber(config.temperature),
+    maxTokens: parseNumber(config.maxTokens),
+    topP: parseNumber(config.topP),
+    timeoutSeconds: timeoutSeconds === undefined ? DEFAULT_TIMEOUT_SECONDS : timeoutSeconds,
+    stop: stop.length > 0 ? stop : undefined,
+  };
+};
+
+export const isOptionSupported = (provider, option) =>
+  option === "timeoutSeconds" || Boolean(PROVIDER_OPTIONS[provider]?.[option]);
+
+// Problems with a configuration's generation options, as messages; empty when it can be saved
+export const validateModelOptions = (config) => {
+  const options = getModelOptions(config);
+  const errors = [];
+  const { temperature, maxTokens, topP, timeoutSeconds } = options;
+
+  if (temperature !== undefined && !(temperature >= 0 && temperature <= 2)) {
+    errors.push("Temperature must be between 0 and 2");
+  }
+  if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    errors.push("Max Tokens must be a positive whole number");
+  }
+  if (topP !== undefined && !(topP > 0 && topP <= 1)) {
+    errors.push("Top P must be greater than 0 and at most 1");
+  }
+  if (!(timeoutSeconds > 0)) {
+    errors.push("Timeout must be a positive number of seconds");
+  }
+
+  Object.entries(options).forEach(([option, value]) => {
+    if (value !== undefined && !isOptionSupported(config.provider, option)) {
+      errors.push(`${MODEL_OPTION_LABELS[option]} is not supported by this provider; leave it empty`);
+    }
+  });
+  return errors;
+};
+
+// { fields, callOptions } for the options the provider supports
+const mapModelOptions = (provider, options) => {
+  const fields = {};
+  const callOptions = {};
+  Object.entries(PROVIDER_OPTIONS[provider] || {}).forEach(([option, field]) => {
+    if (options[option] === undefined) return;
+    const target = CALL_OPTIONS[provider]?.includes(option) ? callOptions : fields;
+    target[field] = options[option];
+  });
+  return { fields, callOptions };
+};
+
+// Ollama only checks the call signal between streamed chunks, so a server that never answers
+// is cut off at the fetch instead
+const fetchWithTimeout = (timeoutMs) => (input, init = {}) => {
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  const signal = init.signal ? AbortSignal.any([init.signal, timeoutSignal]) : timeoutSignal;
+  return fetch(input, { ...init, signal });
+};
+
+const createProviderModel = (config, modelOptions, timeoutMs) => {
+    const { provider, baseUrl, model, apiKey, deploymentName, apiVersion, instanceName, customHeaders } = config;
+
     switch (provider) {
       case "openai": {
         return new ChatOpenAI({
           model,
-          temperature: parseFloat(temperature),
+          ...modelOptions,
           apiKey,
           baseUrl,
         });
@@ -18,7 +130,7 @@ export async function createChatModel(config) {
       case "anthropic": {
         return new ChatAnthropic({
           model,
-          temperature: parseFloat(temperature),
+          ...modelOptions,
           apiKey,
         });
       }
@@ -26,20 +138,43 @@ export async function createChatModel(config) {
         return new ChatOllama({
           baseUrl,
           model,
-          temperature: parseFloat(temperature),
+          ...modelOptions,
+          fetch: fetchWithTimeout(timeoutMs),
+        });
+      }
+      case "gemini": {
+        return new ChatGoogleGenerativeAI({
+          model,
+          ...modelOptions,
+          apiKey,
+        });
+      }
+      case "openai-compatible": {
+        if (!baseUrl) {
+          throw new Error("A base URL is required for OpenAI-compatible servers");
+        }
+        return new ChatOpenAI({
+          model,
+          ...modelOptions,
+          // Local servers usually accept any key, but the client refuses to send none
+          apiKey: apiKey || "not-needed",
+          configuration: {
+            baseURL: baseUrl,
+            defaultHeaders: parseCustomHeaders(customHeaders),
+          },
         });
       }
       case "mistral": {
-        return new ChatMistralAI({ model, apiKey });
+        return new ChatMistralAI({ model, ...modelOptions, apiKey });
       }
       case "cohere": {
-        return new ChatCohere({ model, apiKey });
+        return new ChatCohere({ model, ...modelOptions, apiKey });
       }
       case "azure": {
         return new AzureChatOpenAI({
           azureOpenAIApiKey: apiKey,
           model,
-          temperature: parseFloat(temperature),
+          ...modelOptions,
           azureOpenAIApiDeploymentName: deploymentName,
           azureOpenAIApiVersion: apiVersion,
           azureOpenAIApiInstanceName: instanceName,
@@ -48,5 +183,61 @@ export async function createChatModel(config) {
       default:
         throw new Error(`Unsupported provider: ${provider}`);
     }
+  };
+
+export async function createChatModel(config) {
+  const options = getModelOptions(config);
+  const { fields, callOptions } = mapModelOptions(config.provider, options);
+  const timeoutMs = options.timeoutSeconds * 1000;
+  const model = createProviderModel(config, fields, timeoutMs);
+  // The call timeout aborts the other providers' requests, so a hung call fails and can be retried.
+  // Bound explicitly: ChatOpenAI.withConfig rebuilds Azure models as plain OpenAI ones
+  return new RunnableBinding({
+    bound: model,
+    kwargs: callOptions,
+    config: {
+      timeout: timeoutMs,
+      metadata: { provider: config.provider, modelKey: `${config.provider}:${config.baseUrl || ""}:${config.model || config.deploymentName}` },
+    },
+  });
+}
+
+// A model from createChatModel that returns objects matching the JSON Schema, or null when its
+// provider has no native structured output (or the schema is empty) and the reply must be parsed as text
+export const createStructuredModel = (model, schema, name) => {
+  const { provider, modelKey } = model.config?.metadata || {};
+  if (!STRUCTURED_OUTPUT_PROVIDERS.has(provider) || TEXT_OUTPUT_MODELS.has(modelKey)) return null;
+  if (Object.keys(schema.properties || {}).length === 0) return null;
+  return new RunnableBinding({
+    bound: model.bound.withStructuredOutput(schema, { name }),
+    kwargs: model.kwargs,
+    config: model.config,
+  });
+};
+
+// Runs the structured chain, switching to the text chain when the model turns out not to support
+// structured output; other errors are thrown so they can be retried or routed to a fallback
+export const withTextOutputFallback = (structuredChain, textChain, model) =>
+  RunnableLambda.from(async (input, config) => {
+    try {
+      return await structuredChain.invoke(input, config);
+    } catch (error) {
+      if (!UNSUPPORTED_STRUCTURED_OUTPUT.test(error?.message || "")) throw error;
+      console.warn("Structured output is not supported by this model, parsing the reply as text:", error.message);
+      TEXT_OUTPUT_MODELS.add(model.config?.metadata?.modelKey);
+      return textChain.invoke(input, config);
+    }
+  });
+
+// Name and model of a configuration, recorded on results to show which model produced them
+export const getModelLabel = (config) =>
+  `${config.name || config.provider} (${config.provider === "azure" ? config.deploymentName : config.model})`;
+
+// [{ model, label }] for a pipeline step: its own configuration first, then the fallbacks
+export async function createStepModels(step) {
+  const configs = getStepConfigurations(step);
+  if (configs.length === 0) {
+    throw new Error("No LLM configuration found. Please configure your LLM settings first.");
   }
-  
\ No newline at end of file
+  return Promise.all(configs.map(async (config) => ({ model: await createChatModel(config), label: getModelLabel(config) })));
+}
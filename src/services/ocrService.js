@@ -0,0 +1,69 @@
+// OCR Service for scanned or image-only resumes
+// Runs Tesseract locally in the browser; the engine is loaded lazily on first use
+export class OCRService {
+  constructor() {
+    this.language = 'eng';
+    this.workerPromise = null;
+    this.orientationWorkerPromise = null;
+  }
+
+  async getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = import('tesseract.js')
+        .then(({ createWorker }) => createWorker(this.language))
+        .catch(error => {
+          this.workerPromise = null;
+          throw error;
+        });
+    }
+    return this.workerPromise;
+  }
+
+  // Orientation detection needs Tesseract's legacy engine, so it gets its own worker
+  // and only photo uploads pay for the extra download
+  async getOrientationWorker() {
+    if (!this.orientationWorkerPromise) {
+      this.orientationWorkerPromise = import('tesseract.js')
+        .then(({ createWorker }) => createWorker(this.language, 1, { legacyCore: true, legacyLang: true }))
+        .catch(error => {
+          this.orientationWorkerPromise = null;
+          throw error;
+        });
+    }
+    return this.orientationWorkerPromise;
+  }
+
+  // rotateAuto straightens small skew angles before recognition
+  async recognize(image, { rotateAuto = false } = {}) {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(image, { rotateAuto });
+    return {
+      text: (data.text || '').trim(),
+      confidence: Math.round(data.confidence || 0),
+      rotateRadians: data.rotateRadians || 0
+    };
+  }
+
+  // Clockwise rotation in degrees (0, 90, 180 or 270) that puts the text upright
+  async detectOrientation(image) {
+    const worker = await this.getOrientationWorker();
+    const { data } = await worker.detect(image);
+    return {
+      degrees: data.orientation_degrees || 0,
+      confidence: data.orientation_confidence || 0
+    };
+  }
+
+  async terminate() {
+    const promises = [this.workerPromise, this.orientationWorkerPromise].filter(Boolean);
+    this.workerPromise = null;
+    this.orientationWorkerPromise = null;
+    for (const promise of promises) {
+      const worker = await promise;
+      await worker.terminate();
+    }
+  }
+}
+
+// Export singleton instance
+export const ocrService = new OCRService();
@@ -1,51 +1,208 @@
 import * as pdfjsLib from "pdfjs-dist/build/pdf";
-import { createChatModel } from "./llmFactory.js";
-import { getDefaultConfiguration } from "../utils/llmConfig.js";
+import mammoth from "mammoth/mammoth.browser";
+import { RunnableLambda } from "@langchain/core/runnables";
+import { createStepModels, createStructuredModel, withTextOutputFallback } from "./llmFactory.js";
+import { aiAnalysisService } from "./aiAnalysisService.js";
+import { ocrService } from "./ocrService.js";
+import { pdfWorkerPool } from "./pdfWorkerPool.js";
+import { segmentResumeText } from "../utils/resumeSections.js";
+import { rtfToText, extractRtfLinks } from "../utils/rtfToText.js";
+import { FIELD_SOURCES, describeField, describeFields, assignPages } from "../utils/fieldProvenance.js";
+import { hashFile } from "../utils/fileHash.js";
+import { getCachedExtraction, saveCachedExtraction } from "../utils/extractionCache.js";
+import { findSkillsInText } from "../utils/skillsTaxonomy.js";
+import { inferCountry, findPhoneNumber } from "../utils/contactNormalization.js";
+import { looksLikeName } from "../utils/personName.js";
+import { detectLanguage, getTranslationInstruction } from "../utils/languageDetection.js";
+import { getAnalysisSettings } from "../utils/analysisSettings.js";
+import { buildOutputSchema } from "../utils/outputSchema.js";
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = "/pdf.worker.min.js";
+
+const MAX_IMAGE_DIMENSION = 3000;
+// Tesseract's OSD confidence; below this the detected orientation is a guess
+const MIN_ORIENTATION_CONFIDENCE = 1;
+const SKIPPED_HTML_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head']);
+const HTML_BLOCK_SELECTOR = 'address, article, aside, blockquote, dd, div, dl, dt, figure, footer, header, h1, h2, h3, h4, h5, h6, li, main, nav, ol, p, pre, section, table, ul';
+// LLM extraction requests in flight during a batch; hosted providers rate-limit and a local
+// Ollama serves one request at a time anyway
+const STRUCTURING_CONCURRENCY = 1;
+
+// Runs at most `limit` tasks at once, starting the rest in call order as slots free up
+const createLimiter = (limit) => {
+  let active = 0;
+  const waiting = [];
+  const next = () => {
+    if (active >= limit || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+};
+
+const runNow = (task) => task();
+
 // PDF Extraction Service for resume analysis
 export class PDFExtractionService {
   constructor() {
-    this.supportedFormats = ['.pdf'];
+    // Accepted resume formats; each extractor returns { text, pages, metadata }
+    this.formats = [];
+    this.registerFormat({
+      id: 'pdf',
+      label: 'PDF',
+      extensions: ['.pdf'],
+      mimeTypes: ['application/pdf'],
+      // PDF allows a little junk before the header, so look anywhere in the first kilobyte
+      hasValidSignature: header => header.includes('%PDF'),
+      emptyMessage: 'No readable text found in PDF (text layer missing and OCR found nothing)',
+      extract: (arrayBuffer, options) => this.extractPDF(arrayBuffer, options)
+    });
+    this.registerFormat({
+      id: 'docx',
+      label: 'DOCX',
+      extensions: ['.docx'],
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+      hasValidSignature: header => header.startsWith('PK'),
+      extract: arrayBuffer => this.parseDOCX(arrayBuffer)
+    });
+    this.registerFormat({
+      id: 'rtf',
+      label: 'RTF',
+      extensions: ['.rtf'],
+      mimeTypes: ['application/rtf', 'text/rtf'],
+      hasValidSignature: header => header.startsWith('{\\rtf'),
+      extract: arrayBuffer => this.parseRTF(arrayBuffer)
+    });
+    this.registerFormat({
+      id: 'html',
+      label: 'HTML',
+      extensions: ['.html', '.htm'],
+      mimeTypes: ['text/html'],
+      extract: arrayBuffer => this.parseHTML(arrayBuffer)
+    });
+    this.registerFormat({
+      id: 'markdown',
+      label: 'Markdown',
+      extensions: ['.md', '.markdown'],
+      mimeTypes: ['text/markdown', 'text/x-markdown'],
+      extract: arrayBuffer => this.parseMarkdown(arrayBuffer)
+    });
+    this.registerFormat({
+      id: 'image',
+      label: 'PNG/JPEG/HEIC image',
+      extensions: ['.png', '.jpg', '.jpeg', '.heic', '.heif'],
+      mimeTypes: ['image/png', 'image/jpeg', 'image/heic', 'image/heif'],
+      // PNG, JPEG, or an ISO-BMFF container (HEIC/HEIF)
+      hasValidSignature: header => header.startsWith('\x89PNG') || header.startsWith('\xFF\xD8\xFF') || header.slice(4, 8) === 'ftyp',
+      emptyMessage: 'No readable text found in image (OCR found nothing)',
+      extract: (arrayBuffer, options) => this.parseImage(arrayBuffer, options)
+    });
+    this.registerFormat({
+      id: 'txt',
+      label: 'TXT',
+      extensions: ['.txt'],
+      mimeTypes: ['text/plain'],
+      extract: arrayBuffer => this.parsePlainText(arrayBuffer)
+    });
+
+    // Asks the user for the password of an encrypted PDF; returning null skips the file
+    this.requestPassword = (fileName, isRetry) => window.prompt(
+      isRetry
+        ? `Incorrect password for "${fileName}". Try again, or cancel to skip this file:`
+        : `"${fileName}" is password protected. Enter the password, or cancel to skip this file:`
+    );
   }
 
-  async extractTextFromPDF(file) {
-    try {
-      // Check if file is PDF
-      if (!this.isPDFFile(file)) {
-        throw new Error('File is not a PDF');
-      }
+  // Add or replace a format; a format with the same id is overwritten
+  registerFormat(format) {
+    this.formats = [...this.formats.filter(existing => existing.id !== format.id), format];
+  }
+
+  // Extension wins over MIME type: browsers report .md and .rtf files inconsistently
+  getFormat(file) {
+    const name = (file.name || '').toLowerCase();
+    return this.formats.find(format => format.extensions.some(extension => name.endsWith(extension))) ||
+      this.formats.find(format => file.type && format.mimeTypes.includes(file.type)) ||
+      null;
+  }
+
+  getAcceptedExtensions() {
+    return this.formats.flatMap(format => format.extensions);
+  }
+
+  getFormatLabels() {
+    return this.formats.map(format => format.label);
+  }
+
+  getMimeType(fileName) {
+    return this.getFormat({ name: fileName, type: '' })?.mimeTypes[0] || '';
+  }
+
+  isSupportedFile(file) {
+    return this.getFormat(file) !== null;
+  }
+
+  // Dispatch to the extractor registered for the file type
+  async extractText(file, onProgress) {
+    const format = this.getFormat(file);
+    if (!format) {
+      return {
+        success: false,
+        error: `Unsupported file type: ${file.name}`,
+        text: '',
+        pages: 0
+      };
+    }
 
-      // Read PDF content
+    try {
       const arrayBuffer = await this.fileToArrayBuffer(file);
-      
-      try {
-        const pdfData = await this.parsePDF(arrayBuffer);
+      const result = await format.extract(arrayBuffer, { file, onProgress });
+
+      if (!result.text) {
+        // Never hand an empty or placeholder text to the LLM for scoring
         return {
-          success: true,
-          text: pdfData.text,
-          pages: pdfData.pages,
-          metadata: pdfData.metadata
+          success: false,
+          error: format.emptyMessage || `No text found in ${format.label} document`,
+          text: '',
+          pages: result.pages,
+          metadata: result.metadata
         };
-      } catch (pdfError) {
-        console.warn('PDF parsing failed, trying fallback method:', pdfError);
-        // Fallback: return basic file info
+      }
+
+      return {
+        success: true,
+        text: result.text,
+        pages: result.pages,
+        metadata: {
+          title: file.name,
+          author: '',
+          creator: '',
+          producer: '',
+          creationDate: '',
+          modificationDate: '',
+          ...result.metadata
+        }
+      };
+    } catch (error) {
+      if (error.code === 'PDF_ENCRYPTED') {
+        // Don't score a stub for files we could not open
         return {
-          success: true,
-          text: `PDF file: ${file.name}\nNote: PDF text extraction failed, using basic file information.`,
-          pages: 1,
-          metadata: {
-            title: file.name,
-            author: '',
-            creator: '',
-            producer: '',
-            creationDate: '',
-            modificationDate: ''
-          }
+          success: false,
+          error: 'Encrypted — skipped (no password provided)',
+          skipReason: 'encrypted',
+          text: '',
+          pages: 0
         };
       }
-    } catch (error) {
-      console.error('PDF extraction error:', error);
+
+      console.error(`${format.label} extraction error:`, error);
       return {
         success: false,
         error: error.message,
@@ -55,23 +212,92 @@ export class PDFExtractionService {
     }
   }
 
-  async extractResumeData(file, jobDetails, resumeFields = {}) {
+  async extractPDF(arrayBuffer, { file, onProgress } = {}) {
+    try {
+      return await this.parsePDF(arrayBuffer, file.name, onProgress);
+    } catch (pdfError) {
+      if (pdfError.code === 'PDF_ENCRYPTED') throw pdfError;
+
+      // Fail the file with the reason rather than scoring a placeholder text
+      throw new Error(`Could not read PDF: ${pdfError.message}`);
+    }
+  }
+
+  // runParsing and runStructuring let a batch limit how many files are read and sent to the LLM at once
+  async extractResumeData(file, jobDetails, resumeFields = {}, { onProgress, runParsing = runNow, runStructuring = runNow } = {}) {
     try {
-      // Extract text from PDF
-      const pdfResult = await this.extractTextFromPDF(file);
+      // Same content and field selection as a previous run: skip parsing and the LLM
+      const fileHash = await runParsing(() => hashFile(file));
+      const { analysisLanguage } = getAnalysisSettings();
+      const cached = getCachedExtraction(fileHash, resumeFields);
+      // Field values are written in the analysis language of the run that cached them; entries from
+      // before language detection have no language metadata and are reused as they are
+      const cachedMetadata = cached?.metadata || {};
+      const untranslated = !cachedMetadata.language && !cachedMetadata.analysisLanguage;
+      if (cached && (untranslated || cachedMetadata.analysisLanguage === analysisLanguage)) {
+        console.log(`Using cached extraction for ${file.name}`);
+        return {
+          success: true,
+          rawText: cached.rawText,
+          structuredData: cached.structuredData,
+          sections: cached.sections,
+          metadata: cached.metadata,
+          fromCache: true
+        };
+      }
+
+      // Extract text with the extractor registered for the file's format
+      const pdfResult = await runParsing(() => this.extractText(file, onProgress));
       
       if (!pdfResult.success) {
-        throw new Error(pdfResult.error);
+        const extractionError = new Error(pdfResult.error);
+        extractionError.skipReason = pdfResult.skipReason;
+        throw extractionError;
+      }
+
+      // The extraction prompt translates field values when the resume isn't in the analysis language
+      pdfResult.metadata = { ...pdfResult.metadata, language: detectLanguage(pdfResult.text), analysisLanguage };
+
+      // Split into named sections so later extractors can work on their own slice
+      const sections = this.segmentSections(pdfResult.text, pdfResult.metadata?.headings);
+
+      // Use AI to extract structured resume data; only LLM results are worth caching
+      let resumeData;
+      let cacheable = true;
+      try {
+        const { data, producedBy } = await runStructuring(() => {
+          onProgress?.({ fileName: file.name, status: 'structuring' });
+          return this.requestStructuredData(pdfResult.text, jobDetails, resumeFields, pdfResult.metadata);
+        });
+        resumeData = this.withLlmProvenance(data, pdfResult.text);
+        pdfResult.metadata.extractionModel = producedBy;
+      } catch (aiError) {
+        console.error('AI extraction error:', aiError);
+        resumeData = this.basicTextParsing(pdfResult.text, jobDetails);
+        cacheable = false;
       }
+      const enrichedData = this.enrichContactFields(resumeData, pdfResult.text, pdfResult.metadata?.links);
+      enrichedData.fieldProvenance = assignPages(enrichedData.fieldProvenance, pdfResult.metadata?.pageOffsets);
 
-      // Use AI to extract structured resume data
-      const resumeData = await this.extractStructuredData(pdfResult.text, jobDetails, resumeFields);
-      const enrichedData = this.enrichContactFields(resumeData, pdfResult.text);
+      if (cacheable) {
+        try {
+          saveCachedExtraction(fileHash, resumeFields, {
+            fileName: file.name,
+            rawText: pdfResult.text,
+            structuredData: enrichedData,
+            sections,
+            metadata: pdfResult.metadata
+          });
+        } catch (cacheError) {
+          console.warn('Could not cache extraction result:', cacheError);
+        }
+      }
       
       return {
         success: true,
         rawText: pdfResult.text,
         structuredData: enrichedData,
+        sections,
         metadata: pdfResult.metadata
       };
     } catch (error) {
@@ -79,38 +305,75 @@ export class PDFExtractionService {
       return {
         success: false,
         error: error.message,
+        skipReason: error.skipReason,
         rawText: '',
         structuredData: null
       };
     }
   }
 
-  async extractStructuredData(text, jobDetails, resumeFields = {}) {
+  segmentSections(text, headingHints = []) {
     try {
-      const llmConfig = getDefaultConfiguration();
-      
-      if (!llmConfig) {
-        throw new Error('No LLM configuration found');
-      }
-
-      const model = await createChatModel(llmConfig);
+      return segmentResumeText(text, headingHints || []);
+    } catch (error) {
+      console.warn('Section segmentation failed:', error);
+      return {};
+    }
+  }
 
-      // Create extraction prompt
-      const prompt = this.buildExtractionPrompt(text, jobDetails, resumeFields);
-      
-      // Get AI response
-      const response = await model.invoke(prompt);
-      const structuredData = this.parseExtractionResponse(response.content);
-      
-      return structuredData;
+  async extractStructuredData(text, jobDetails, resumeFields = {}) {
+    try {
+      const { data } = await this.requestStructuredData(text, jobDetails, resumeFields);
+      return this.withLlmProvenance(data, text);
     } catch (error) {
       console.error('AI extraction error:', error);
       // Fallback to basic text parsing
-      return this.basicTextParsing(text);
+      return this.basicTextParsing(text, jobDetails);
+    }
+  }
+
+  // Tag every field the model returned; confidence drops when the value isn't in the resume text.
+  // Translated fields are checked through their untranslated originals
+  withLlmProvenance(data, text) {
+    return { ...data, fieldProvenance: describeFields({ ...data, ...(data?.original || {}) }, FIELD_SOURCES.llm, { text }) };
+  }
+
+  // { data, producedBy }: the extracted fields and the label of the configuration that produced them
+  async requestStructuredData(text, jobDetails, resumeFields = {}, { language, analysisLanguage } = {}) {
+    // The extraction step's configuration first, then the fallbacks
+    const models = await createStepModels('extraction');
+
+    // Create extraction prompt
+    const languageInstruction = getTranslationInstruction(language, analysisLanguage);
+    const prompt = this.buildExtractionPrompt(text, jobDetails, resumeFields, languageInstruction);
+
+    // Providers with native structured output return the object directly
+    const schemaOptions = {
+      schema: buildOutputSchema(this.buildExtractionExample(resumeFields), { withOriginal: Boolean(languageInstruction) }),
+      name: 'resume_data'
+    };
+    let lastError;
+    for (const { model, label } of models) {
+      try {
+        const textChain = RunnableLambda.from(async (input) => this.parseExtractionResponse((await model.invoke(input)).content));
+        const structuredModel = createStructuredModel(model, schemaOptions.schema, schemaOptions.name);
+        const output = structuredModel
+          ? await withTextOutputFallback(structuredModel, textChain, model).invoke(prompt)
+          : await textChain.invoke(prompt);
+
+        // Wrong shapes are coerced or sent back for repair; fields that never pass are listed
+        const { value, invalidFields } = await aiAnalysisService.repairOutput(output, model, schemaOptions);
+        return { data: invalidFields.length ? { ...value, invalidFields } : value, producedBy: label };
+      } catch (error) {
+        lastError = error;
+        console.warn(`${label} failed${models.length > 1 ? ', trying the next configuration' : ''}:`, error.message);
+      }
     }
+    throw lastError;
   }
 
-  buildExtractionPrompt(text, jobDetails, resumeFields = {}) {
+  // Example object for the selected fields; the prompt shows it and the output schema is derived from it
+  buildExtractionExample(resumeFields = {}) {
     const schema = {};
 
     if (resumeFields.contactInformation) {
@@ -126,7 +389,6 @@ export class PDFExtractionService {
     if (resumeFields.professionalSummary) {
       schema.summary = "Professional summary or objective";
       schema.currentRole = "Current job title or role";
-      schema.experience = "Total years of experience (number or string)";
     }
 
     if (resumeFields.education) {
@@ -221,7 +483,11 @@ export class PDFExtractionService {
       });
     }
 
-    const schemaJson = JSON.stringify(schema, null, 2);
+    return schema;
+  }
+
+  buildExtractionPrompt(text, jobDetails, resumeFields = {}, languageInstruction = '') {
+    const schemaJson = JSON.stringify(this.buildExtractionExample(resumeFields), null, 2);
 
     return `You are extracting resume data. Return ONLY valid JSON matching the schema below. Prefer exact facts; do not hallucinate. If unknown, use "N/A" or [] accordingly.
 
@@ -230,7 +496,7 @@ Formatting rules for contact fields:
 - linkedin: full https URL to a profile (e.g., https://www.linkedin.com/in/<handle>)
 - github: full https URL to a user/org (e.g., https://github.com/<handle>)
 - website: full https URL if present
-
+${languageInstruction}
 JOB CONTEXT:
 Title: ${jobDetails.title}
 Description: ${jobDetails.description || 'N/A'}
@@ -243,22 +509,68 @@ RESUME TEXT:
 ${text}`;
   }
 
-  enrichContactFields(data, text) {
+  enrichContactFields(data, text, links = []) {
     const result = { ...(data || {}) };
+    const provenance = { ...(result.fieldProvenance || {}) };
+
+    // Link annotations carry the real target behind anchor text such as "LinkedIn"
+    const linkTargets = (links || []).map(link => link.url).join('\n');
+    const pageOfLink = (value) => {
+      const needle = value.replace(/^https?:\/\//i, '').replace(/^www\./i, '').toLowerCase();
+      return (links || []).find(link => link.url.toLowerCase().includes(needle))?.page;
+    };
 
-    const email = this.extractPrimaryEmail(text);
-    const linkedin = this.extractLinkedInUrl(text);
-    const github = this.extractGitHubUrl(text);
-    const website = this.extractWebsiteUrl(text);
+    const setField = (field, value, source) => {
+      result[field] = value;
+      provenance[field] = source === FIELD_SOURCES.annotation
+        ? describeField(value, source, { page: pageOfLink(value) })
+        : describeField(value, source, { text });
+    };
 
-    if (!result.email || result.email === 'N/A') result.email = email || result.email || 'N/A';
-    if (!result.linkedin || result.linkedin === 'N/A') result.linkedin = linkedin || result.linkedin || 'N/A';
-    if (!result.github || result.github === 'N/A') result.github = github || result.github || 'N/A';
-    if (!result.website || result.website === 'N/A') result.website = website || result.website || 'N/A';
+    const emailFromText = this.extractPrimaryEmail(text);
+    const emailFromLinks = emailFromText ? null : this.extractPrimaryEmail(linkTargets);
+    if (!result.email || result.email === 'N/A') {
+      if (emailFromText) setField('email', emailFromText, FIELD_SOURCES.regex);
+      else if (emailFromLinks) setField('email', emailFromLinks, FIELD_SOURCES.annotation);
+      else result.email = result.email || 'N/A';
+    }
 
+    // Anchor text that marks a link as the candidate's own profile rather than an employer or project
+    const urlFields = [
+      ['linkedin', url => this.extractLinkedInUrl(url), /linkedin/i],
+      ['github', url => this.extractGitHubUrl(url), /github/i],
+      ['website', url => this.extractWebsiteUrl(url), /website|portfolio|homepage|blog/i]
+    ];
+    // The embedded link target is exact, so it wins over URLs the text or the LLM may have truncated
+    urlFields.forEach(([field, extract, anchorPattern]) => {
+      const fromLink = this.pickProfileLink(links, extract, anchorPattern);
+      if (fromLink) {
+        setField(field, fromLink, FIELD_SOURCES.annotation);
+      } else if (!result[field] || result[field] === 'N/A') {
+        const fromText = extract(text);
+        if (fromText) setField(field, fromText, FIELD_SOURCES.regex);
+        else result[field] = result[field] || 'N/A';
+      }
+    });
+
+    result.fieldProvenance = provenance;
     return result;
   }
 
+  // Link target for a profile field: one whose anchor text names the field or shows the URL itself,
+  // else the first matching link on the opening page, where the contact header is
+  pickProfileLink(links, extract, anchorPattern) {
+    const candidates = (links || [])
+      .map(link => ({ ...link, value: extract(link.url) }))
+      .filter(link => link.value);
+    const labelled = candidates.find(link => {
+      const label = String(link.text || '').trim();
+      return anchorPattern.test(label) || extract(label) === link.value;
+    });
+    const onFirstPage = candidates.find(link => (link.page || 1) === 1);
+    return (labelled || onFirstPage)?.value || null;
+  }
+
   extractPrimaryEmail(text) {
     if (!text) return null;
     const emailRegex = /[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,}/g;
@@ -349,21 +661,9 @@ ${text}`;
 
       throw new Error('No valid JSON found in response');
     } catch (error) {
+      // Let the caller fall back to text parsing instead of inventing an "Unknown" candidate
       console.error('JSON parsing error:', error);
-      return {
-        fullName: 'Unknown',
-        email: 'N/A',
-        phone: 'N/A',
-        currentRole: 'N/A',
-        experience: 'N/A',
-        education: 'N/A',
-        skills: [],
-        workExperience: [],
-        projects: [],
-        certifications: [],
-        languages: [],
-        summary: 'Extraction failed'
-      };
+      throw error;
     }
   }
 
@@ -421,7 +721,7 @@ ${text}`;
     return s;
   }
 
-  basicTextParsing(text) {
+  basicTextParsing(text, jobDetails = {}) {
     // Basic text parsing as fallback
     const lines = text.split('\n').filter(line => line.trim());
     
@@ -429,38 +729,37 @@ ${text}`;
     const emailMatch = text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
     const email = emailMatch ? emailMatch[0] : 'N/A';
     
-    // Extract phone
-    const phoneMatch = text.match(/(\+?1[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}/);
-    const phone = phoneMatch ? phoneMatch[0] : 'N/A';
+    // Extract phone; local numbers are read in the country of the resume header or the job,
+    // then as US numbers as before
+    const headerCountry = inferCountry(...lines.slice(0, 6));
+    const phoneMatch = findPhoneNumber(text, [headerCountry, inferCountry(jobDetails?.location), 'US']);
+    const phone = phoneMatch || 'N/A';
     
-    // Extract name (usually first line or first two lines)
-    const fullName = lines[0] || 'Unknown';
+    // Extract name: the first header line shaped like a name, not a title like "Curriculum Vitae"
+    const fullName = lines.slice(0, 5).find(looksLikeName)?.trim() || lines[0] || 'Unknown';
     
-    // Extract skills (look for common skill keywords)
-    const skillKeywords = [
-      'JavaScript', 'Python', 'Java', 'React', 'Node.js', 'SQL', 'HTML', 'CSS',
-      'TypeScript', 'Angular', 'Vue', 'AWS', 'Docker', 'Git', 'MongoDB',
-      'PostgreSQL', 'Redis', 'GraphQL', 'REST API', 'Machine Learning',
-      'Data Science', 'Agile', 'Scrum', 'DevOps', 'CI/CD'
-    ];
-    
-    const skills = skillKeywords.filter(skill => 
-      text.toLowerCase().includes(skill.toLowerCase())
-    );
+    // Extract skills (any skill from the taxonomy mentioned in the text)
+    const skills = findSkillsInText(text).map(skill => skill.name);
+    const summary = lines.slice(0, 3).join(' ');
+
+    // Pattern matches are reliable; the name and summary are positional guesses
+    const fieldProvenance = describeFields({ fullName, skills, summary }, FIELD_SOURCES.fallback, { text });
+    if (emailMatch) fieldProvenance.email = describeField(email, FIELD_SOURCES.regex, { text });
+    if (phoneMatch) fieldProvenance.phone = describeField(phone, FIELD_SOURCES.regex, { text });
     
     return {
       fullName,
       email,
       phone,
       currentRole: 'N/A',
-      experience: 'N/A',
       education: 'N/A',
       skills,
       workExperience: [],
       projects: [],
       certifications: [],
       languages: [],
-      summary: lines.slice(0, 3).join(' ')
+      summary,
+      fieldProvenance
     };
   }
 
@@ -473,66 +772,398 @@ ${text}`;
     });
   }
 
-  async parsePDF(arrayBuffer) {
-    try {      
-      // Load the PDF document
-      const loadingTask = pdfjsLib.getDocument({ 
-        data: arrayBuffer,
-        useWorkerFetch: false,
-        isEvalSupported: false,
-        useSystemFonts: true,
-        disableWorker: true
-      });
-      
-      const pdf = await loadingTask.promise;
-      
-      let fullText = '';
-      const metadata = {};
-      
-      // Extract text from all pages
-      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-        try {
-          const page = await pdf.getPage(pageNum);
-          const textContent = await page.getTextContent();
-          const pageText = textContent.items
-            .filter(item => item.str && item.str.trim())
-            .map(item => item.str)
-            .join(' ');
-          fullText += pageText + '\n';
-        } catch (pageError) {
-          console.warn(`Error extracting text from page ${pageNum}:`, pageError);
-          // Continue with other pages
-        }
+  // Parsing runs in the worker pool; OCR of image-only pages stays on the main thread
+  async parsePDF(arrayBuffer, fileName = 'PDF', onProgress) {
+    const parsed = await pdfWorkerPool.parse(arrayBuffer, {
+      fileName,
+      requestPassword: (name, isRetry) => this.requestPassword(name, isRetry),
+      onProgress
+    });
+
+    const pageTexts = [...parsed.pageTexts];
+    const ocrPages = [];
+    for (const { page, image } of parsed.ocrImages) {
+      onProgress?.({ fileName, status: 'ocr', page, pages: parsed.pages });
+      const ocrResult = await this.ocrImage(image, page);
+      if (ocrResult) {
+        pageTexts[page - 1] = ocrResult.text;
+        ocrPages.push({ page, confidence: ocrResult.confidence });
       }
-      
-      // Extract metadata
-      try {
-        const pdfInfo = await pdf.getMetadata();
-        if (pdfInfo.info) {
-          metadata.title = pdfInfo.info.Title || '';
-          metadata.author = pdfInfo.info.Author || '';
-          metadata.creator = pdfInfo.info.Creator || '';
-          metadata.producer = pdfInfo.info.Producer || '';
-          metadata.creationDate = pdfInfo.info.CreationDate || '';
-          metadata.modificationDate = pdfInfo.info.ModDate || '';
+    }
+
+    const metadata = { ...parsed.metadata };
+    if (ocrPages.length > 0) {
+      metadata.ocr = {
+        engine: 'tesseract',
+        pages: ocrPages,
+        averageConfidence: Math.round(ocrPages.reduce((sum, p) => sum + p.confidence, 0) / ocrPages.length)
+      };
+    }
+
+    // Where each page starts in the joined text, so field spans can be mapped back to pages
+    const joined = pageTexts.join('\n\n');
+    const leadingWhitespace = joined.length - joined.trimStart().length;
+    let offset = 0;
+    metadata.pageOffsets = pageTexts.map(pageText => {
+      const start = Math.max(0, offset - leadingWhitespace);
+      offset += pageText.length + 2;
+      return start;
+    });
+
+    return {
+      text: joined.trim(),
+      pages: parsed.pages,
+      metadata,
+      lines: parsed.lines
+    };
+  }
+
+  // Photos and scans of resumes: decode, fix orientation, then OCR with deskew
+  async parseImage(arrayBuffer, { file, onProgress } = {}) {
+    const isHeic = /\.hei[cf]$/i.test(file.name) || /^image\/hei[cf]$/.test(file.type);
+    let blob = new Blob([arrayBuffer], { type: file.type || this.getMimeType(file.name) });
+    if (isHeic) {
+      // Browsers other than Safari can't decode HEIC, so convert it first
+      const { default: heic2any } = await import('heic2any');
+      const converted = await heic2any({ blob, toType: 'image/png' });
+      blob = Array.isArray(converted) ? converted[0] : converted;
+    }
+
+    onProgress?.({ fileName: file.name, status: 'ocr', page: 1, pages: 1 });
+    let canvas = await this.imageToCanvas(blob);
+
+    let orientation = { degrees: 0, confidence: 0 };
+    try {
+      orientation = await ocrService.detectOrientation(canvas);
+    } catch (error) {
+      console.warn(`Orientation detection failed for ${file.name}:`, error);
+    }
+    if (orientation.degrees && orientation.confidence >= MIN_ORIENTATION_CONFIDENCE) {
+      canvas = this.rotateCanvas(canvas, orientation.degrees);
+    }
+
+    const result = await ocrService.recognize(canvas, { rotateAuto: true });
+
+    return {
+      text: result.text,
+      pages: 1,
+      metadata: {
+        format: 'image',
+        imageType: isHeic ? 'image/heic' : blob.type,
+        ocr: {
+          engine: 'tesseract',
+          pages: [{ page: 1, confidence: result.confidence }],
+          averageConfidence: result.confidence,
+          rotation: orientation.confidence >= MIN_ORIENTATION_CONFIDENCE ? orientation.degrees : 0,
+          deskewAngle: Math.round(result.rotateRadians * 180 / Math.PI * 10) / 10
         }
-      } catch (metaError) {
-        console.warn('Error extracting PDF metadata:', metaError);
       }
-      
+    };
+  }
+
+  async imageToCanvas(blob) {
+    // from-image applies the EXIF orientation phone cameras record instead of rotating pixels
+    const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    // Large photos slow OCR down without improving it
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas;
+  }
+
+  // Rotate clockwise by a multiple of 90 degrees
+  rotateCanvas(canvas, degrees) {
+    const rotated = document.createElement('canvas');
+    const quarterTurn = degrees % 180 !== 0;
+    rotated.width = quarterTurn ? canvas.height : canvas.width;
+    rotated.height = quarterTurn ? canvas.width : canvas.height;
+    const context = rotated.getContext('2d');
+    context.translate(rotated.width / 2, rotated.height / 2);
+    context.rotate(degrees * Math.PI / 180);
+    context.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+    return rotated;
+  }
+
+  async ocrImage(image, pageNum) {
+    try {
+      const result = await ocrService.recognize(image);
+      return result.text ? result : null;
+    } catch (error) {
+      console.warn(`OCR failed for page ${pageNum}:`, error);
+      return null;
+    }
+  }
+
+  async parseDOCX(arrayBuffer) {
+    try {
+      // Convert to HTML first so headings, paragraphs and lists survive
+      const result = await mammoth.convertToHtml({ arrayBuffer });
+      if (result.messages?.length) {
+        console.warn('DOCX conversion messages:', result.messages);
+      }
+
+      const { text, headings, links } = this.htmlToStructuredText(result.value);
+
       return {
-        text: fullText.trim(),
-        pages: pdf.numPages,
-        metadata
+        text,
+        // Word documents have no fixed pagination until rendered
+        pages: 1,
+        metadata: {
+          format: 'docx',
+          headings,
+          links
+        }
       };
     } catch (error) {
-      console.error('PDF parsing error:', error);
-      throw new Error(`Failed to parse PDF: ${error.message}`);
+      console.error('DOCX parsing error:', error);
+      throw new Error(`Failed to parse DOCX: ${error.message}`);
     }
   }
 
-  isPDFFile(file) {
-    return file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+  async parseRTF(arrayBuffer) {
+    // RTF is 7-bit ASCII; non-ASCII text arrives as escapes that rtfToText decodes
+    const rtf = new TextDecoder('latin1').decode(arrayBuffer);
+    return {
+      text: rtfToText(rtf),
+      pages: 1,
+      metadata: {
+        format: 'rtf',
+        links: extractRtfLinks(rtf)
+      }
+    };
+  }
+
+  async parseHTML(arrayBuffer) {
+    const html = this.decodeText(arrayBuffer);
+    const { text, headings, links, title } = this.htmlToStructuredText(html);
+    return {
+      text,
+      pages: 1,
+      metadata: {
+        format: 'html',
+        ...(title ? { title } : {}),
+        headings,
+        links
+      }
+    };
+  }
+
+  async parseMarkdown(arrayBuffer) {
+    const { text, headings, links } = this.markdownToStructuredText(this.decodeText(arrayBuffer));
+    return {
+      text,
+      pages: 1,
+      metadata: {
+        format: 'markdown',
+        headings,
+        links
+      }
+    };
+  }
+
+  async parsePlainText(arrayBuffer) {
+    const text = this.decodeText(arrayBuffer)
+      .split('\n')
+      .map(line => line.replace(/\s+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    return {
+      text,
+      pages: 1,
+      metadata: {
+        format: 'txt'
+      }
+    };
+  }
+
+  // UTF-8 (with or without BOM) or UTF-16 with BOM; anything else is read as Windows-1252
+  decodeText(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    let text;
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      text = new TextDecoder('utf-16le').decode(bytes);
+    } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      text = new TextDecoder('utf-16be').decode(bytes);
+    } else {
+      try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      } catch {
+        text = new TextDecoder('windows-1252').decode(bytes);
+      }
+    }
+    return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  }
+
+  markdownToStructuredText(markdown) {
+    const headings = [];
+    const links = [];
+    const lines = markdown.split('\n');
+    const output = [];
+    let inCodeBlock = false;
+
+    const inline = (value) => value
+      // Images keep their alt text, links their label; targets are collected separately
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (_, label, url) => {
+        links.push({ url, text: label.trim(), page: 1 });
+        return label;
+      })
+      .replace(/<((?:https?:\/\/|mailto:)[^\s>]+|[^\s@<>]+@[^\s@<>]+)>/g, (_, target) => {
+        links.push({ url: target.includes(':') ? target : `mailto:${target}`, text: target, page: 1 });
+        return target;
+      })
+      .replace(/<[^>]+>/g, '')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+      // Underscores inside words (snake_case, emails) are not emphasis
+      .replace(/(^|\W)_(\S(?:.*?\S)?)_(?!\w)/g, '$1$2')
+      .replace(/~~(.+?)~~/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1')
+      .trim();
+
+    const pushHeading = (value) => {
+      const heading = inline(value).toUpperCase();
+      if (!heading) return;
+      headings.push(heading);
+      output.push('', heading);
+    };
+
+    lines.forEach((line, index) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inCodeBlock = !inCodeBlock;
+        return;
+      }
+      if (inCodeBlock) {
+        output.push(line);
+        return;
+      }
+
+      const next = lines[index + 1] || '';
+      const atx = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+      if (atx) {
+        pushHeading(atx[1]);
+      } else if (line.trim() && /^\s{0,3}(=+|-+)\s*$/.test(next) && !/^\s*([-*+]|\d+[.)])\s/.test(line)) {
+        // Setext heading: the underline row is dropped below
+        pushHeading(line);
+      } else if (/^\s{0,3}(=+|-+)\s*$/.test(line) && lines[index - 1]?.trim()) {
+        return;
+      } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        output.push('');
+      } else if (/^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line)) {
+        // Table alignment row
+        return;
+      } else if (/^\s*\|.*\|\s*$/.test(line)) {
+        output.push(line.trim().replace(/^\||\|$/g, '').split('|').map(inline).filter(Boolean).join(' | '));
+      } else {
+        const listItem = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+        const content = inline((listItem ? listItem[1] : line).replace(/^\s*>\s?/, ''));
+        output.push(listItem ? `• ${content}` : content);
+      }
+    });
+
+    return {
+      text: output.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+      headings,
+      links
+    };
+  }
+
+  htmlToStructuredText(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const blocks = [];
+
+    const walk = (node) => {
+      Array.from(node.childNodes).forEach(el => {
+        // Loose text between blocks, as in hand-written or exported HTML
+        if (el.nodeType === Node.TEXT_NODE) {
+          const looseText = el.textContent.replace(/\s+/g, ' ').trim();
+          if (looseText) blocks.push({ text: looseText });
+          return;
+        }
+        if (el.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = el.tagName.toLowerCase();
+        const content = el.textContent.replace(/\s+/g, ' ').trim();
+
+        if (SKIPPED_HTML_TAGS.has(tag)) return;
+
+        if (/^h[1-6]$/.test(tag)) {
+          // Keep headings on their own line, separated from the previous block
+          if (content) blocks.push({ text: content.toUpperCase(), heading: true });
+        } else if (tag === 'p') {
+          if (content) blocks.push({ text: content });
+        } else if (tag === 'ul' || tag === 'ol') {
+          Array.from(el.children).forEach(li => {
+            const itemText = li.textContent.replace(/\s+/g, ' ').trim();
+            if (itemText) blocks.push({ text: `• ${itemText}`, listItem: true });
+          });
+        } else if (tag === 'table') {
+          el.querySelectorAll('tr').forEach(row => {
+            const cells = Array.from(row.children)
+              .map(cell => cell.textContent.replace(/\s+/g, ' ').trim())
+              .filter(Boolean);
+            if (cells.length > 0) blocks.push({ text: cells.join(' | '), listItem: true });
+          });
+        } else if (!el.querySelector(HTML_BLOCK_SELECTOR)) {
+          // Container with only inline content (div, span, td outside a table...)
+          if (content) blocks.push({ text: content });
+        } else {
+          walk(el);
+        }
+      });
+    };
+
+    walk(doc.body);
+
+    const text = blocks
+      .map((block, index) => {
+        const previous = blocks[index - 1];
+        const needsGap = index > 0 && (block.heading || !(block.listItem && previous?.listItem));
+        return (needsGap ? '\n' : '') + block.text;
+      })
+      .join('\n')
+      .trim();
+
+    const links = Array.from(doc.querySelectorAll('a[href]'))
+      .filter(anchor => /^(https?:|mailto:)/i.test(anchor.getAttribute('href')))
+      .map(anchor => ({ url: anchor.getAttribute('href'), text: anchor.textContent.trim(), page: 1 }));
+
+    return {
+      text,
+      headings: blocks.filter(block => block.heading).map(block => block.text),
+      links,
+      title: doc.title.trim()
+    };
+  }
+
+  // Extract several resumes at once: as many files are read as the parser pool has workers, while
+  // LLM extraction runs structuringConcurrency files at a time so providers aren't flooded.
+  // Results keep the order of the input files; progress events carry the file's index,
+  // since files from an archive or folder can share a name.
+  async extractResumeDataBatch(files, jobDetails, resumeFields = {}, { onProgress, concurrency = pdfWorkerPool.size, structuringConcurrency = STRUCTURING_CONCURRENCY } = {}) {
+    const runParsing = createLimiter(concurrency);
+    const runStructuring = createLimiter(structuringConcurrency);
+
+    return Promise.all(files.map(async (file, index) => {
+      const onFileProgress = progress => onProgress?.({ ...progress, index });
+      let result;
+      try {
+        result = await this.extractResumeData(file, jobDetails, resumeFields, { onProgress: onFileProgress, runParsing, runStructuring });
+      } catch (error) {
+        result = { success: false, error: error.message, rawText: '', structuredData: null };
+      }
+      onFileProgress({
+        fileName: file.name,
+        status: result.success ? 'done' : 'failed',
+        error: result.error
+      });
+      return result;
+    }));
   }
 
   async extractFromMultipleFiles(files) {
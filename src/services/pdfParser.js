@@ -0,0 +1,241 @@
+import * as pdfjsLib from "pdfjs-dist/build/pdf";
+import { buildPageText } from "../utils/pdfLayout.js";
+import { detectHiddenText, SUSPICIOUS_REASONS } from "../utils/hiddenText.js";
+
+// Workers have no DOM, so pdfjs has to draw into OffscreenCanvas there
+const hasDocument = typeof document !== 'undefined';
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const canvasToBlob = (canvas) => {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+};
+
+// Scratch canvases pdfjs needs for masks and patterns while rendering
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d', { willReadFrequently: true }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// PDF Parser: text layout, links, hidden-text screening and metadata for one document.
+// Runs inside the parser worker pool, or on the main thread when workers are unavailable.
+export class PDFParser {
+  async parse(arrayBuffer, { fileName = 'PDF', requestPassword, onProgress } = {}) {
+    let passwordSkipped = false;
+
+    try {
+      // Load the PDF document
+      const loadingTask = pdfjsLib.getDocument({
+        data: arrayBuffer,
+        useWorkerFetch: false,
+        isEvalSupported: false,
+        useSystemFonts: true,
+        disableFontFace: !hasDocument,
+        ...(hasDocument ? {} : { CanvasFactory: OffscreenCanvasFactory })
+      });
+
+      // Encrypted PDFs: ask for the password and let pdfjs retry until it opens or the user gives up
+      loadingTask.onPassword = (updatePassword, reason) => {
+        const isRetry = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+        Promise.resolve(requestPassword ? requestPassword(fileName, isRetry) : null).then(password => {
+          if (password === null || password === undefined) {
+            passwordSkipped = true;
+            loadingTask.destroy();
+          } else {
+            updatePassword(password);
+          }
+        });
+      };
+
+      const pdf = await loadingTask.promise;
+
+      const pageTexts = [];
+      const metadata = {};
+      const ocrImages = [];
+      const layoutPages = [];
+      const lines = [];
+      const links = [];
+      const suspiciousRuns = [];
+
+      // Extract text from all pages
+      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+        onProgress?.({ page: pageNum, pages: pdf.numPages });
+        try {
+          const page = await pdf.getPage(pageNum);
+          const textContent = await page.getTextContent();
+          const viewport = page.getViewport({ scale: 1 });
+          // Drop text a reader can't see so it never reaches scoring
+          const { visibleItems, hiddenRuns } = await this.screenHiddenText(page, pageNum, textContent.items, viewport);
+          suspiciousRuns.push(...hiddenRuns);
+          // Rebuild reading order from item positions so columns don't interleave
+          const pageLayout = buildPageText(visibleItems, viewport.width);
+          layoutPages.push({ page: pageNum, columns: pageLayout.columns });
+          links.push(...await this.extractPageLinks(page, pageNum, textContent.items));
+          lines.push(...pageLayout.lines.map(line => ({ ...line, page: pageNum })));
+          pageTexts.push(pageLayout.text);
+
+          // No text layer: the page is most likely a scanned image, hand it over for OCR
+          if (!pageLayout.text.trim()) {
+            const image = await this.renderPageForOcr(page, pageNum);
+            if (image) ocrImages.push({ page: pageNum, image });
+          }
+        } catch (pageError) {
+          console.warn(`Error extracting text from page ${pageNum}:`, pageError);
+          // Continue with other pages
+          pageTexts.push('');
+        }
+      }
+
+      metadata.layout = { pages: layoutPages };
+      metadata.links = links;
+
+      if (suspiciousRuns.length > 0) {
+        metadata.suspiciousContent = {
+          // Keep the stored record small; the counts cover the full set
+          runs: suspiciousRuns.slice(0, 50),
+          runCount: suspiciousRuns.length,
+          hiddenCharCount: suspiciousRuns.reduce((sum, run) => sum + run.text.length, 0),
+          reasons: [...new Set(suspiciousRuns.map(run => run.reason))].map(reason => SUSPICIOUS_REASONS[reason])
+        };
+      }
+      // Font-based heading cues for section segmentation
+      metadata.headings = lines.filter(line => line.heading).map(line => line.text);
+
+      // Extract metadata
+      try {
+        const pdfInfo = await pdf.getMetadata();
+        if (pdfInfo.info) {
+          metadata.title = pdfInfo.info.Title || '';
+          metadata.author = pdfInfo.info.Author || '';
+          metadata.creator = pdfInfo.info.Creator || '';
+          metadata.producer = pdfInfo.info.Producer || '';
+          metadata.creationDate = pdfInfo.info.CreationDate || '';
+          metadata.modificationDate = pdfInfo.info.ModDate || '';
+        }
+      } catch (metaError) {
+        console.warn('Error extracting PDF metadata:', metaError);
+      }
+
+      const pages = pdf.numPages;
+      await pdf.destroy();
+
+      return {
+        pageTexts,
+        pages,
+        metadata,
+        lines,
+        ocrImages
+      };
+    } catch (error) {
+      if (passwordSkipped) {
+        const encryptedError = new Error('PDF is password protected');
+        encryptedError.code = 'PDF_ENCRYPTED';
+        throw encryptedError;
+      }
+      console.error('PDF parsing error:', error);
+      throw new Error(`Failed to parse PDF: ${error.message}`);
+    }
+  }
+
+  async screenHiddenText(page, pageNum, items, viewport) {
+    try {
+      const textItems = items.filter(item => item.str && item.str.trim());
+      if (textItems.length === 0) return { visibleItems: items, hiddenRuns: [] };
+
+      const canvas = await this.renderPageToCanvas(page, 1);
+      const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+      const findings = detectHiddenText(items, viewport, imageData);
+      const hiddenIndexes = new Set(findings.map(finding => finding.index));
+
+      return {
+        visibleItems: items.filter((_, index) => !hiddenIndexes.has(index)),
+        hiddenRuns: findings.map(finding => ({
+          page: pageNum,
+          text: items[finding.index].str.trim(),
+          reason: finding.reason
+        }))
+      };
+    } catch (error) {
+      console.warn(`Hidden text check failed for page ${pageNum}:`, error);
+      return { visibleItems: items, hiddenRuns: [] };
+    }
+  }
+
+  async extractPageLinks(page, pageNum, items = []) {
+    try {
+      const annotations = await page.getAnnotations();
+      return annotations
+        .filter(annotation => annotation.subtype === 'Link' && annotation.url)
+        .map(annotation => ({
+          url: annotation.url,
+          text: this.getTextInRect(items, annotation.rect),
+          page: pageNum
+        }));
+    } catch (error) {
+      console.warn(`Error extracting links from page ${pageNum}:`, error);
+      return [];
+    }
+  }
+
+  // Anchor text: the text items whose origin falls inside the annotation rectangle
+  getTextInRect(items, rect) {
+    if (!Array.isArray(rect) || rect.length < 4) return '';
+    const [x1, y1, x2, y2] = rect;
+    return items
+      .filter(item => item.str && Array.isArray(item.transform))
+      .filter(item => {
+        const x = item.transform[4];
+        const y = item.transform[5];
+        return x >= Math.min(x1, x2) - 1 && x <= Math.max(x1, x2) && y >= Math.min(y1, y2) - 2 && y <= Math.max(y1, y2);
+      })
+      .map(item => item.str)
+      .join('')
+      .trim();
+  }
+
+  // OCR runs on the main thread, so pages travel there as PNG blobs
+  async renderPageForOcr(page, pageNum) {
+    try {
+      return await canvasToBlob(await this.renderPageToCanvas(page));
+    } catch (error) {
+      console.warn(`Rendering page ${pageNum} for OCR failed:`, error);
+      return null;
+    }
+  }
+
+  async renderPageToCanvas(page, scale = 2) {
+    // Render at 2x so small resume fonts stay legible for OCR
+    const viewport = page.getViewport({ scale });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: canvas.getContext('2d', { willReadFrequently: true }), viewport }).promise;
+    return canvas;
+  }
+}
+
+// Export singleton instance
+export const pdfParser = new PDFParser();
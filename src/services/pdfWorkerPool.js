@@ -0,0 +1,135 @@
+import { pdfParser } from "./pdfParser.js";
+
+// PDF Worker Pool: parses PDFs in dedicated workers so bulk uploads don't block the UI
+export class PDFWorkerPool {
+  constructor() {
+    this.size = Math.max(1, (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4);
+    this.slots = [];
+    this.queue = [];
+    this.listeners = new Set();
+    this.nextTaskId = 1;
+    this.workersUnavailable = typeof Worker === 'undefined';
+  }
+
+  // Listen to progress events for every file going through the pool
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  parse(arrayBuffer, { fileName = 'PDF', requestPassword, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextTaskId++, arrayBuffer, fileName, requestPassword, onProgress, resolve, reject };
+      this.queue.push(task);
+      this.emit(task, { status: 'queued' });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      if (this.workersUnavailable) {
+        this.runOnMainThread(this.queue.shift());
+        continue;
+      }
+
+      let slot = this.slots.find(candidate => !candidate.task);
+      if (!slot && this.slots.length < this.size) {
+        slot = this.createSlot();
+        if (!slot) continue;
+      }
+      if (!slot) return;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      this.emit(task, { status: 'parsing' });
+      // Not transferred, so the buffer is still usable if the worker dies and we fall back
+      slot.worker.postMessage({ type: 'parse', id: task.id, buffer: task.arrayBuffer, fileName: task.fileName });
+    }
+  }
+
+  createSlot() {
+    try {
+      const worker = new Worker(new URL('../workers/pdfParser.worker.js', import.meta.url), { type: 'module' });
+      const slot = { worker, task: null };
+      worker.onmessage = (event) => this.handleMessage(slot, event.data);
+      worker.onerror = (event) => this.handleWorkerError(slot, event);
+      this.slots.push(slot);
+      return slot;
+    } catch (error) {
+      console.warn('PDF workers unavailable, parsing on the main thread:', error);
+      this.workersUnavailable = true;
+      return null;
+    }
+  }
+
+  handleMessage(slot, message) {
+    const task = slot.task;
+    if (!task || message.id !== task.id) return;
+
+    if (message.type === 'progress') {
+      this.emit(task, { status: 'parsing', page: message.page, pages: message.pages });
+    } else if (message.type === 'password') {
+      // Prompts need the DOM, so the worker asks the main thread
+      Promise.resolve(task.requestPassword ? task.requestPassword(message.fileName, message.isRetry) : null)
+        .then(password => slot.worker.postMessage({ type: 'password', id: task.id, password: password ?? null }));
+    } else if (message.type === 'result') {
+      this.finish(slot, task, { status: 'parsed' });
+      task.resolve(message.result);
+    } else if (message.type === 'error') {
+      const error = new Error(message.message);
+      if (message.code) error.code = message.code;
+      this.finish(slot, task, { status: 'failed', error: message.message });
+      task.reject(error);
+    }
+  }
+
+  // A worker that fails to load or crashes is dropped and the remaining queue runs on the main thread
+  handleWorkerError(slot, event) {
+    console.warn('PDF worker failed, parsing on the main thread:', event.message || event);
+    event.preventDefault?.();
+    slot.worker.terminate();
+    this.slots = this.slots.filter(candidate => candidate !== slot);
+    this.workersUnavailable = true;
+    if (slot.task) {
+      this.queue.unshift(slot.task);
+    }
+    this.dispatch();
+  }
+
+  finish(slot, task, event) {
+    slot.task = null;
+    this.emit(task, event);
+    this.dispatch();
+  }
+
+  async runOnMainThread(task) {
+    this.emit(task, { status: 'parsing' });
+    try {
+      const result = await pdfParser.parse(task.arrayBuffer, {
+        fileName: task.fileName,
+        requestPassword: task.requestPassword,
+        onProgress: progress => this.emit(task, { status: 'parsing', ...progress })
+      });
+      this.emit(task, { status: 'parsed' });
+      task.resolve(result);
+    } catch (error) {
+      this.emit(task, { status: 'failed', error: error.message });
+      task.reject(error);
+    }
+  }
+
+  emit(task, event) {
+    const progress = { fileName: task.fileName, ...event };
+    task.onProgress?.(progress);
+    this.listeners.forEach(listener => listener(progress));
+  }
+
+  terminate() {
+    this.slots.forEach(slot => slot.worker.terminate());
+    this.slots = [];
+  }
+}
+
+// Export singleton instance
+export const pdfWorkerPool = new PDFWorkerPool();
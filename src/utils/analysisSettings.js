@@ -0,0 +1,21 @@
+// Analysis settings utilities
+// App-wide analysis preferences, stored like the LLM configurations
+const SETTINGS_STORAGE_KEY = 'analysisSettings';
+
+export const DEFAULT_ANALYSIS_SETTINGS = {
+  // Gaps between jobs longer than this are reported
+  gapThresholdMonths: 6,
+  // Extracted fields and the analysis are written in this language (ISO 639-1)
+  analysisLanguage: 'en'
+};
+
+export const getAnalysisSettings = () => {
+  const saved = localStorage.getItem(SETTINGS_STORAGE_KEY);
+  return { ...DEFAULT_ANALYSIS_SETTINGS, ...(saved ? JSON.parse(saved) : {}) };
+};
+
+export const saveAnalysisSettings = (settings) => {
+  const updated = { ...getAnalysisSettings(), ...settings };
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
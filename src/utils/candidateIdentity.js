@@ -0,0 +1,62 @@
+// Candidate identity utilities
+// A stable key per person, built from normalized contact details, so the same candidate is
+// recognized across analyses and re-uploads of an updated resume.
+import { getNameKey } from './personName.js';
+import { getAnalysisResults } from './analysisStorage.js';
+
+// Providers that ignore dots in the local part and deliver "+tag" addresses to the same inbox
+const DOT_INSENSITIVE_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+export const normalizeEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  const match = /^([^@\s]+)@([^@\s]+\.[a-z]{2,})$/.exec(value);
+  if (!match) return null;
+  let [, local, domain] = match;
+  local = local.replace(/\+.*$/, '');
+  if (DOT_INSENSITIVE_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return `${local}@${domain}`;
+};
+
+// { key, email, phone, name }; the key uses the most reliable detail available:
+// email, then E.164 phone, then the normalized name
+export const getCandidateIdentity = ({ email, phoneDetails, phone, name } = {}) => {
+  const identity = {
+    email: normalizeEmail(email),
+    // Only a parsed number is comparable; raw text differs with every formatting choice
+    phone: phoneDetails?.e164 || (/^\+\d{8,15}$/.test(String(phone || '')) ? phone : null),
+    name: (name?.key ?? getNameKey(name)) || null
+  };
+  const [type, value] = [['email', identity.email], ['phone', identity.phone], ['name', identity.name]]
+    .find(([, part]) => part) || [];
+  return { key: type ? `${type}:${value}` : null, ...identity };
+};
+
+// Two identities are the same person when email or phone match, or when the names match
+// and neither has contact details that contradict it
+export const isSameCandidate = (a, b) => {
+  if (!a || !b) return false;
+  if (a.email && a.email === b.email) return true;
+  if (a.phone && a.phone === b.phone) return true;
+  if (!a.name || a.name !== b.name) return false;
+  const conflicting = (a.email && b.email && a.email !== b.email) || (a.phone && b.phone && a.phone !== b.phone);
+  return !conflicting;
+};
+
+// Records of the same candidate in other analyses: [{ analysisId, analysisTitle, recordId, analyzedAt, overallScore }]
+export const findCandidateRecords = (identity, { excludeAnalysisId } = {}) => {
+  if (!identity?.key) return [];
+  return getAnalysisResults()
+    .filter(analysis => analysis.id !== excludeAnalysisId)
+    .flatMap(analysis => (analysis.records || [])
+      .filter(record => isSameCandidate(identity, record.candidateIdentity))
+      .map(record => ({
+        analysisId: analysis.id,
+        analysisTitle: analysis.title,
+        recordId: record.id,
+        analyzedAt: record.analyzedAt,
+        overallScore: record.overallScore
+      })));
+};
@@ -0,0 +1,139 @@
+// Career timeline analysis
+// Gaps, tenure, overlapping roles and seniority progression computed from the
+// normalized work history, so hiring managers don't have to check them by hand.
+import { normalizeWorkExperience, isoToMonthIndex, monthIndexToIso } from './experienceDates.js';
+
+const SHORT_TENURE_MONTHS = 12;
+
+// Seniority ladder inferred from job titles; the highest matching level wins
+const SENIORITY_LEVELS = [
+  { level: 0, label: 'Intern', pattern: /\b(intern|internship|trainee|apprentice|working student)\b/i },
+  { level: 1, label: 'Junior', pattern: /\b(junior|jr|associate|assistant|entry[- ]level|graduate)\b/i },
+  { level: 3, label: 'Senior', pattern: /\b(senior|sr)\b/i },
+  { level: 4, label: 'Lead', pattern: /\b(lead|staff|principal|architect|manager)\b/i },
+  { level: 5, label: 'Head', pattern: /\b(head|director)\b/i },
+  { level: 6, label: 'VP', pattern: /\b(vp|vice president)\b/i },
+  { level: 7, label: 'Executive', pattern: /\b(chief|ceo|cto|cfo|coo|cio|founder|co-founder|president|partner)\b/i }
+];
+
+export const getSeniority = (title = '') => {
+  const matches = SENIORITY_LEVELS.filter(entry => entry.pattern.test(title));
+  if (matches.length === 0) return { level: 2, label: 'Mid' };
+  const best = matches.reduce((top, entry) => (entry.level > top.level ? entry : top));
+  return { level: best.level, label: best.label };
+};
+
+const employerKey = (company) => String(company || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')
+  .replace(/\b(inc|llc|ltd|gmbh|corp|corporation|co|company|plc|sa|ag)\b/g, '').trim();
+
+const monthsBetween = (start, end) => end - start + 1;
+
+export const analyzeCareerTimeline = (workExperience = [], { referenceDate = new Date(), gapThresholdMonths = 6 } = {}) => {
+  const roles = normalizeWorkExperience(workExperience, referenceDate)
+    .filter(role => role?.datesParsed)
+    .map(role => ({
+      company: role.company || 'N/A',
+      position: role.position || role.title || 'N/A',
+      startDate: role.startDate,
+      endDate: role.endDate,
+      current: Boolean(role.current),
+      start: isoToMonthIndex(role.startDate),
+      end: isoToMonthIndex(role.endDate),
+      // Year-only dates could be any month of that year; only months certainly shared count as overlap
+      certainStart: isoToMonthIndex(role.startDate) + (role.startDatePrecision === 'year' ? 11 : 0),
+      certainEnd: role.endDatePrecision === 'year' ? isoToMonthIndex(role.endDate.slice(0, 4) + '-01') : isoToMonthIndex(role.endDate)
+    }))
+    .filter(role => role.end >= role.start)
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const undatedRoles = (Array.isArray(workExperience) ? workExperience.length : 0) - roles.length;
+  if (roles.length === 0) {
+    return { thresholdMonths: gapThresholdMonths, roles: [], gaps: [], overlaps: [], tenure: null, progression: null, undatedRoles };
+  }
+
+  // Gaps: uncovered stretches between merged employment periods, plus time since the last job ended.
+  // Year-only dates span their whole year (January start, December end), so they never open a gap
+  const gaps = [];
+  let coveredUntil = roles[0].end;
+  roles.slice(1).forEach(role => {
+    const gapMonths = role.start - coveredUntil - 1;
+    if (gapMonths > gapThresholdMonths) {
+      gaps.push({ from: monthIndexToIso(coveredUntil + 1), to: monthIndexToIso(role.start - 1), months: gapMonths });
+    }
+    coveredUntil = Math.max(coveredUntil, role.end);
+  });
+  const now = referenceDate.getFullYear() * 12 + referenceDate.getMonth();
+  if (!roles.some(role => role.current) && now - coveredUntil > gapThresholdMonths) {
+    gaps.push({ from: monthIndexToIso(coveredUntil + 1), to: monthIndexToIso(now), months: now - coveredUntil, ongoing: true });
+  }
+
+  // Overlaps between different employers; moving between roles at one employer is a promotion, not an overlap
+  const overlaps = [];
+  roles.forEach((role, i) => {
+    roles.slice(i + 1).forEach(other => {
+      if (employerKey(role.company) === employerKey(other.company)) return;
+      const from = Math.max(role.certainStart, other.certainStart);
+      const to = Math.min(role.certainEnd, other.certainEnd);
+      const months = to - from + 1;
+      // A shared month is usually a handover, not two jobs at once
+      if (months > 1) {
+        overlaps.push({
+          roles: [`${role.position} at ${role.company}`, `${other.position} at ${other.company}`],
+          from: monthIndexToIso(from),
+          to: monthIndexToIso(to),
+          months
+        });
+      }
+    });
+  });
+
+  // Tenure per employer, so internal moves don't read as job-hopping
+  const employers = new Map();
+  roles.forEach(role => {
+    const key = employerKey(role.company) || role.company;
+    const employer = employers.get(key) || { company: role.company, start: role.start, end: role.end, current: false };
+    employer.start = Math.min(employer.start, role.start);
+    employer.end = Math.max(employer.end, role.end);
+    employer.current = employer.current || role.current;
+    employers.set(key, employer);
+  });
+  const tenures = [...employers.values()].map(employer => ({
+    company: employer.company,
+    months: monthsBetween(employer.start, employer.end),
+    current: employer.current
+  }));
+  // A current job that is still short says nothing about hopping yet
+  const completedTenures = tenures.filter(tenure => !tenure.current);
+  const shortest = (completedTenures.length ? completedTenures : tenures).reduce((min, tenure) => (tenure.months < min.months ? tenure : min));
+  const shortStints = completedTenures.filter(tenure => tenure.months < SHORT_TENURE_MONTHS).length;
+  const averageMonths = Math.round(tenures.reduce((sum, tenure) => sum + tenure.months, 0) / tenures.length);
+
+  // Progression: seniority of each role in chronological order
+  const steps = roles.map(role => ({ date: role.startDate, position: role.position, ...getSeniority(role.position) }));
+  const promotions = steps.filter((step, i) => i > 0 && step.level > steps[i - 1].level).length;
+  const demotions = steps.filter((step, i) => i > 0 && step.level < steps[i - 1].level).length;
+  const first = steps[0].level;
+  const last = steps[steps.length - 1].level;
+
+  return {
+    thresholdMonths: gapThresholdMonths,
+    roles: roles.map(({ start, end, ...role }) => ({ ...role, months: monthsBetween(start, end) })),
+    gaps,
+    overlaps,
+    tenure: {
+      averageMonths,
+      shortest: { company: shortest.company, months: shortest.months },
+      employers: tenures.length,
+      shortStints,
+      // Two or more completed jobs under a year with a short average tenure
+      jobHopping: shortStints >= 2 && averageMonths < 18
+    },
+    progression: {
+      trend: last > first ? 'upward' : last < first ? 'downward' : 'flat',
+      promotions,
+      demotions,
+      steps
+    },
+    undatedRoles
+  };
+};
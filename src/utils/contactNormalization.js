@@ -0,0 +1,257 @@
+// Contact normalization utilities
+// Phone numbers to E.164 and addresses split into city, region and country, with the
+// country inferred from the address (or the job location) so local numbers can be parsed.
+import { parsePhoneNumberFromString, findPhoneNumbersInText } from 'libphonenumber-js';
+
+// ISO 3166 codes with the names and abbreviations resumes use for them
+const COUNTRIES = [
+  { code: 'US', name: 'United States', aliases: ['usa', 'u.s.a.', 'u.s.', 'us', 'united states of america', 'america'] },
+  { code: 'CA', name: 'Canada', aliases: [] },
+  { code: 'MX', name: 'Mexico', aliases: ['méxico'] },
+  { code: 'BR', name: 'Brazil', aliases: ['brasil'] },
+  { code: 'AR', name: 'Argentina', aliases: [] },
+  { code: 'CL', name: 'Chile', aliases: [] },
+  { code: 'CO', name: 'Colombia', aliases: [] },
+  { code: 'GB', name: 'United Kingdom', aliases: ['uk', 'u.k.', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland'] },
+  { code: 'IE', name: 'Ireland', aliases: [] },
+  { code: 'DE', name: 'Germany', aliases: ['deutschland'] },
+  { code: 'FR', name: 'France', aliases: [] },
+  { code: 'ES', name: 'Spain', aliases: ['españa'] },
+  { code: 'PT', name: 'Portugal', aliases: [] },
+  { code: 'IT', name: 'Italy', aliases: ['italia'] },
+  { code: 'NL', name: 'Netherlands', aliases: ['the netherlands', 'holland'] },
+  { code: 'BE', name: 'Belgium', aliases: [] },
+  { code: 'CH', name: 'Switzerland', aliases: ['schweiz', 'suisse'] },
+  { code: 'AT', name: 'Austria', aliases: ['österreich'] },
+  { code: 'SE', name: 'Sweden', aliases: [] },
+  { code: 'NO', name: 'Norway', aliases: [] },
+  { code: 'DK', name: 'Denmark', aliases: [] },
+  { code: 'FI', name: 'Finland', aliases: [] },
+  { code: 'PL', name: 'Poland', aliases: ['polska'] },
+  { code: 'CZ', name: 'Czech Republic', aliases: ['czechia'] },
+  { code: 'RO', name: 'Romania', aliases: [] },
+  { code: 'UA', name: 'Ukraine', aliases: [] },
+  { code: 'GR', name: 'Greece', aliases: [] },
+  { code: 'TR', name: 'Turkey', aliases: ['türkiye'] },
+  { code: 'IL', name: 'Israel', aliases: [] },
+  { code: 'AE', name: 'United Arab Emirates', aliases: ['uae', 'u.a.e.'] },
+  { code: 'SA', name: 'Saudi Arabia', aliases: ['ksa'] },
+  { code: 'EG', name: 'Egypt', aliases: [] },
+  { code: 'NG', name: 'Nigeria', aliases: [] },
+  { code: 'KE', name: 'Kenya', aliases: [] },
+  { code: 'ZA', name: 'South Africa', aliases: [] },
+  { code: 'IN', name: 'India', aliases: ['bharat'] },
+  { code: 'PK', name: 'Pakistan', aliases: [] },
+  { code: 'BD', name: 'Bangladesh', aliases: [] },
+  { code: 'LK', name: 'Sri Lanka', aliases: [] },
+  { code: 'CN', name: 'China', aliases: ['prc', "people's republic of china"] },
+  { code: 'HK', name: 'Hong Kong', aliases: [] },
+  { code: 'TW', name: 'Taiwan', aliases: [] },
+  { code: 'JP', name: 'Japan', aliases: [] },
+  { code: 'KR', name: 'South Korea', aliases: ['korea', 'republic of korea'] },
+  { code: 'SG', name: 'Singapore', aliases: [] },
+  { code: 'MY', name: 'Malaysia', aliases: [] },
+  { code: 'ID', name: 'Indonesia', aliases: [] },
+  { code: 'PH', name: 'Philippines', aliases: [] },
+  { code: 'VN', name: 'Vietnam', aliases: ['viet nam'] },
+  { code: 'TH', name: 'Thailand', aliases: [] },
+  { code: 'AU', name: 'Australia', aliases: [] },
+  { code: 'NZ', name: 'New Zealand', aliases: [] }
+];
+
+// Regions whose abbreviation or name alone identifies the country
+const REGIONS = {
+  US: {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+  },
+  CA: {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan'
+  },
+  AU: {
+    NSW: 'New South Wales', VIC: 'Victoria', QLD: 'Queensland', WA: 'Western Australia',
+    SA: 'South Australia', TAS: 'Tasmania', ACT: 'Australian Capital Territory', NT: 'Northern Territory'
+  }
+};
+
+// Cities often written without a country
+const CITIES = {
+  london: 'GB', manchester: 'GB', edinburgh: 'GB', dublin: 'IE', berlin: 'DE', munich: 'DE', hamburg: 'DE',
+  paris: 'FR', madrid: 'ES', barcelona: 'ES', lisbon: 'PT', amsterdam: 'NL', zurich: 'CH', vienna: 'AT',
+  stockholm: 'SE', copenhagen: 'DK', warsaw: 'PL', prague: 'CZ', 'tel aviv': 'IL', dubai: 'AE',
+  bangalore: 'IN', bengaluru: 'IN', mumbai: 'IN', delhi: 'IN', 'new delhi': 'IN', hyderabad: 'IN', pune: 'IN', chennai: 'IN',
+  toronto: 'CA', vancouver: 'CA', montreal: 'CA', sydney: 'AU', melbourne: 'AU', auckland: 'NZ',
+  tokyo: 'JP', seoul: 'KR', shanghai: 'CN', beijing: 'CN', lagos: 'NG', nairobi: 'KE',
+  'san francisco': 'US', 'new york city': 'US', seattle: 'US', boston: 'US', chicago: 'US', austin: 'US'
+};
+
+// Postal code shapes that only one country uses
+const POSTAL_CODES = [
+  { country: 'US', pattern: /\b\d{5}(?:-\d{4})?\b/ },
+  { country: 'CA', pattern: /\b[A-Z]\d[A-Z] ?\d[A-Z]\d\b/i },
+  { country: 'GB', pattern: /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/i },
+  { country: 'IN', pattern: /\b\d{6}\b/ }
+];
+
+const COUNTRY_BY_CODE = new Map(COUNTRIES.map(country => [country.code, country]));
+
+const clean = (value) => String(value || '').trim().replace(/\s+/g, ' ').replace(/[.,;]+$/, '');
+
+const isMissing = (value) => !value || !String(value).trim() || String(value).trim() === 'N/A';
+
+export const getCountryName = (code) => COUNTRY_BY_CODE.get(code)?.name || code;
+
+// Country code for a single address part ("Germany", "UK", "U.S.")
+const matchCountry = (part) => {
+  const lower = clean(part).toLowerCase();
+  if (!lower) return null;
+  const exact = COUNTRIES.find(country => country.name.toLowerCase() === lower || country.aliases.includes(lower));
+  if (exact) return exact.code;
+  // Abbreviations are only trusted as a whole part; a full country name may sit inside one ("Berlin Germany")
+  return COUNTRIES.find(country => new RegExp(`\\b${country.name.toLowerCase()}\\b`).test(lower))?.code || null;
+};
+
+// Region code and country for "CA", "California", "ON M5V 2T6", "NSW 2000"
+const matchRegion = (part, country) => {
+  const text = clean(part);
+  const candidates = country ? [country] : Object.keys(REGIONS);
+  for (const code of candidates) {
+    const regions = REGIONS[code];
+    if (!regions) continue;
+    const abbreviation = /^([A-Z]{2,3})\b/.exec(text)?.[1];
+    if (abbreviation && regions[abbreviation]) return { country: code, region: abbreviation };
+    const byName = Object.entries(regions).find(([, name]) => name.toLowerCase() === text.toLowerCase().replace(/\s+\S*\d\S*$/, ''));
+    if (byName) return { country: code, region: byName[0] };
+  }
+  return null;
+};
+
+// First country that can be inferred from free text; null when nothing is conclusive
+export const inferCountry = (...texts) => {
+  for (const text of texts) {
+    if (isMissing(text)) continue;
+    const parsed = parseAddress(text);
+    if (parsed?.country) return parsed.country;
+  }
+  return null;
+};
+
+// { raw, street, city, region, postalCode, country, countryName } from a free-text address;
+// parts that can't be identified are left null
+export const parseAddress = (address) => {
+  if (isMissing(address)) return null;
+  const raw = clean(address);
+  const parts = raw.split(/\s*(?:,|\n|;|\s\|\s|\s[-–]\s)\s*/).map(clean).filter(Boolean);
+  const result = { raw, street: null, city: null, region: null, postalCode: null, country: null, countryName: null };
+
+  // Country, from the last part backwards
+  for (let i = parts.length - 1; i >= 0 && !result.country; i--) {
+    const country = matchCountry(parts[i]);
+    if (country) {
+      result.country = country;
+      parts.splice(i, 1);
+    }
+  }
+
+  // A bare code that is both a region and the known city's country ("Bangalore, IN", "Berlin, DE")
+  // names the country, not Indiana or Delaware
+  const cityCountry = CITIES[parts[0]?.toLowerCase()];
+  const codeIndex = parts.findIndex((part, i) => i > 0 && part === cityCountry);
+  if (!result.country && codeIndex !== -1) {
+    result.country = cityCountry;
+    parts.splice(codeIndex, 1);
+  }
+
+  // Region, usually right before the country ("Austin, TX 78701", "Toronto, ON")
+  for (let i = parts.length - 1; i >= 0 && !result.region; i--) {
+    // The first part of a multi-part address is the street or city, never a region
+    if (i === 0 && parts.length > 1) break;
+    const region = matchRegion(parts[i], result.country);
+    if (region) {
+      result.region = region.region;
+      result.country = result.country || region.country;
+      const rest = parts[i].replace(/^([A-Z]{2,3})\b|^[^\d]+/, '').trim();
+      parts[i] = rest;
+    }
+  }
+  if (!result.region) {
+    // No separators before the region: "Sydney NSW 2000", "Austin TX"
+    for (let i = parts.length - 1; i >= 0 && !result.region; i--) {
+      const match = /^(.+?)\s+([A-Z]{2,3})((?:\s+\S*\d\S*)*)$/.exec(parts[i]);
+      const region = match && matchRegion(match[2], result.country);
+      if (region) {
+        result.region = region.region;
+        result.country = result.country || region.country;
+        parts.splice(i, 1, match[1], clean(match[3]));
+      }
+    }
+  }
+
+  // Postal code anywhere; its shape can pin the country when nothing else did
+  for (const { country, pattern } of POSTAL_CODES) {
+    if (result.country && result.country !== country) continue;
+    const partIndex = parts.findIndex(part => pattern.test(part));
+    if (partIndex === -1) continue;
+    result.postalCode = pattern.exec(parts[partIndex])[0].toUpperCase();
+    if (!result.country && (country !== 'US' || result.region)) result.country = country;
+    parts[partIndex] = clean(parts[partIndex].replace(pattern, ''));
+    break;
+  }
+  if (!result.postalCode) {
+    // Continental format ("10115 Berlin") or a bare code left after the region ("NSW 2000")
+    const index = parts.findIndex(part => /^\d{4,5}( \D+)?$/.test(part));
+    if (index !== -1) {
+      const [, code, city = ''] = /^(\d{4,5})(?: (\D+))?$/.exec(parts[index]);
+      result.postalCode = code;
+      parts[index] = city;
+    }
+  }
+
+  const remaining = parts.filter(Boolean);
+  // Street lines start with a house number or contain a street word; the city is the last other part
+  const isStreet = (part) => /^\d+\w?\s/.test(part) || /\b(street|st|avenue|ave|road|rd|lane|ln|drive|dr|blvd|boulevard|way|straße|strasse|suite|apt|flat|unit|floor)\b\.?/i.test(part);
+  const streetParts = remaining.filter(isStreet);
+  // "Remote" and similar aren't places
+  const cityParts = remaining.filter(part => !isStreet(part) && !/^(remote|anywhere|worldwide|n\/a)$/i.test(part));
+  if (streetParts.length) result.street = streetParts.join(', ');
+  if (cityParts.length) result.city = cityParts[0];
+  // Unrecognized region names follow the city ("Bangalore, Karnataka")
+  if (!result.region && cityParts.length > 1) result.region = cityParts[cityParts.length - 1];
+
+  if (!result.country && result.city) result.country = CITIES[result.city.toLowerCase()] || null;
+  result.countryName = result.country ? getCountryName(result.country) : null;
+  return result;
+};
+
+// { raw, e164, international, country, valid } for one phone number; countries are tried in order
+// for numbers written without a country code
+export const normalizePhone = (phone, countries = []) => {
+  if (isMissing(phone)) return null;
+  const raw = clean(phone);
+  const candidates = [...new Set([...countries.filter(Boolean), undefined])];
+  for (const country of candidates) {
+    const parsed = parsePhoneNumberFromString(raw, country);
+    if (parsed?.isValid()) {
+      return { raw, e164: parsed.number, international: parsed.formatInternational(), country: parsed.country || null, valid: true };
+    }
+  }
+  return { raw, e164: null, international: null, country: null, valid: false };
+};
+
+// First phone number in free text, as it was written
+export const findPhoneNumber = (text, countries = []) => {
+  if (!text) return null;
+  for (const country of [...new Set([...countries.filter(Boolean), undefined])]) {
+    const [found] = findPhoneNumbersInText(text, country);
+    if (found) return text.slice(found.startsAt, found.endsAt);
+  }
+  return null;
+};
@@ -0,0 +1,213 @@
+// Work history date utilities
+// Normalizes free-text resume dates ("Jan 2020", "'19", "Present") to ISO year-months
+// and computes years of experience with overlapping roles merged.
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+// Seasons and quarters map to their first month
+const SEASONS = { spring: 3, summer: 6, fall: 9, autumn: 9, winter: 12, q1: 1, q2: 4, q3: 7, q4: 10 };
+
+const PRESENT = /^(present|current(ly)?|now|today|to date|till date|ongoing|date)$/i;
+const RANGE_SEPARATOR = /\s*(?:–|—|-|\bto\b|\buntil\b|\btill\b)\s*/gi;
+
+const pad = (month) => String(month).padStart(2, '0');
+
+const toIso = (year, month) => `${year}-${pad(month)}`;
+
+const monthIndex = (year, month) => year * 12 + (month - 1);
+
+// Month arithmetic on ISO year-months
+export const isoToMonthIndex = (iso) => {
+  const [year, month] = iso.split('-').map(Number);
+  return monthIndex(year, month);
+};
+
+export const monthIndexToIso = (index) => toIso(Math.floor(index / 12), (index % 12) + 1);
+
+// Two-digit years: anything after next year belongs to the previous century
+const expandYear = (year, referenceDate) => {
+  if (year >= 100) return year;
+  const pivot = (referenceDate.getFullYear() + 1) % 100;
+  const century = Math.floor(referenceDate.getFullYear() / 100) * 100;
+  return year <= pivot ? century + year : century - 100 + year;
+};
+
+const isValidYear = (year, referenceDate) => year >= 1950 && year <= referenceDate.getFullYear() + 1;
+
+// Returns { iso, year, month, precision, present } or null when the value isn't a date.
+// Year-only dates use January; as end dates they are moved to December by normalizeWorkExperience.
+export const parseResumeDate = (value, referenceDate = new Date()) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/[.,]/g, ' ').replace(/\s+/g, ' ').toLowerCase();
+  if (!text || text === 'n/a') return null;
+
+  if (PRESENT.test(text)) {
+    const year = referenceDate.getFullYear();
+    const month = referenceDate.getMonth() + 1;
+    return { iso: toIso(year, month), year, month, precision: 'month', present: true };
+  }
+
+  const build = (rawYear, month, precision) => {
+    const year = expandYear(Number(rawYear), referenceDate);
+    if (!isValidYear(year, referenceDate) || month < 1 || month > 12) return null;
+    return { iso: toIso(year, month), year, month, precision, present: false };
+  };
+
+  let match;
+  // 2020-01, 2020/01, 2020.01, 2020-01-15
+  if ((match = /^(\d{4})[-/ ](\d{1,2})(?:[-/ ]\d{1,2})?$/.exec(text))) {
+    return build(match[1], Number(match[2]), 'month');
+  }
+  // 01/2020, 1-2020, 01 2020, 01/15/2020
+  if ((match = /^(\d{1,2})[-/ ](?:\d{1,2}[-/ ])?(\d{4})$/.exec(text))) {
+    return build(match[2], Number(match[1]), 'month');
+  }
+  // 01/20 (month/two-digit year)
+  if ((match = /^(\d{1,2})\/(\d{2})$/.exec(text))) {
+    return build(match[2], Number(match[1]), 'month');
+  }
+  // Jan 2020, January '20, Jan 15 2020, 15 Jan 2020
+  if ((match = /^(?:\d{1,2} )?([a-z][a-z0-9]*)(?: \d{1,2})? '?(\d{2}|\d{4})$/.exec(text))) {
+    const word = match[1];
+    if (MONTHS[word]) return build(match[2], MONTHS[word], 'month');
+    if (SEASONS[word]) return build(match[2], SEASONS[word], 'season');
+    return null;
+  }
+  // 2020, '19
+  if ((match = /^'?(\d{4}|\d{2})$/.exec(text))) {
+    if (match[1].length === 2 && !text.startsWith("'")) return null;
+    return build(match[1], 1, 'year');
+  }
+
+  return null;
+};
+
+// A year-only end date means the role ran through that year, but not past the reference date
+const toPeriodEnd = (date, referenceDate) => {
+  if (!date || date.precision !== 'year') return date;
+  const year = referenceDate.getFullYear();
+  const month = referenceDate.getMonth() + 1;
+  if (monthIndex(date.year, 12) <= monthIndex(year, month)) return { ...date, iso: toIso(date.year, 12), month: 12 };
+  return { ...date, iso: toIso(year, month), year, month };
+};
+
+// "Jan 2020 - Present" or "2019-2021" in a single field; hyphens inside ISO dates
+// mean the separator can't be found by splitting, so try each candidate position
+export const parseDateRange = (value, referenceDate = new Date()) => {
+  if (typeof value !== 'string') return null;
+  for (const match of value.matchAll(RANGE_SEPARATOR)) {
+    const start = parseResumeDate(value.slice(0, match.index), referenceDate);
+    const end = parseResumeDate(value.slice(match.index + match[0].length), referenceDate);
+    if (start && end) return { start, end };
+  }
+  return null;
+};
+
+// Work experience with ISO startDate/endDate; the original text is kept when it differed
+export const normalizeWorkExperience = (workExperience = [], referenceDate = new Date()) => {
+  if (!Array.isArray(workExperience)) return [];
+
+  return workExperience.map(role => {
+    if (!role || typeof role !== 'object') return role;
+
+    let start = parseResumeDate(role.startDate, referenceDate);
+    let end = parseResumeDate(role.endDate, referenceDate);
+    const range = !start ? parseDateRange(role.startDate || role.duration || role.dates, referenceDate) : null;
+    if (range) {
+      start = range.start;
+      end = end || range.end;
+    }
+    // An ongoing role without an end date runs until the analysis date
+    if (start && !end && (role.current === true || !role.endDate || role.endDate === 'N/A')) {
+      end = parseResumeDate('present', referenceDate);
+    }
+    end = toPeriodEnd(end, referenceDate);
+
+    const normalized = { ...role };
+    if (start) {
+      normalized.startDate = start.iso;
+      normalized.startDatePrecision = start.precision;
+      if (String(role.startDate) !== start.iso) normalized.startDateText = role.startDate;
+    }
+    if (end) {
+      normalized.endDate = end.iso;
+      normalized.endDatePrecision = end.precision;
+      if (end.present) normalized.current = true;
+      if (role.endDate && String(role.endDate) !== end.iso) normalized.endDateText = role.endDate;
+    }
+    normalized.datesParsed = Boolean(start && end);
+    return normalized;
+  });
+};
+
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'our', 'you', 'are', 'will', 'have', 'has', 'this', 'that',
+  'years', 'year', 'experience', 'senior', 'junior', 'lead', 'level', 'team', 'work', 'strong', 'knowledge'
+]);
+
+const keywords = (text) => (String(text || '').toLowerCase().match(/[a-z][a-z0-9+#.]*/g) || [])
+  .map(word => word.replace(/\.$/, ''))
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+// A role counts toward relevant experience when its title shares a word with the job title,
+// or its title, technologies and description mention at least two job requirement keywords
+export const isRelevantRole = (role, jobDetails = {}) => {
+  const titleWords = new Set(keywords(jobDetails.title));
+  const requirementWords = new Set(keywords(`${jobDetails.requirements || ''} ${jobDetails.description || ''}`));
+  const roleTitleWords = keywords(role.position || role.title);
+  if (roleTitleWords.some(word => titleWords.has(word))) return true;
+
+  const roleWords = new Set(keywords([
+    role.position,
+    role.description,
+    ...(Array.isArray(role.technologies) ? role.technologies : []),
+    ...(Array.isArray(role.achievements) ? role.achievements : [])
+  ].join(' ')));
+  return [...requirementWords].filter(word => roleWords.has(word)).length >= 2;
+};
+
+// Total months covered by a set of roles, counting both the first and last month,
+// with overlapping and back-to-back roles merged
+const mergedMonths = (roles) => {
+  const intervals = roles
+    .map(role => [isoToMonthIndex(role.startDate), isoToMonthIndex(role.endDate)])
+    .filter(([start, end]) => end >= start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  intervals.forEach(([start, end]) => {
+    if (current && start <= current[1] + 1) {
+      current[1] = Math.max(current[1], end);
+    } else {
+      if (current) total += current[1] - current[0] + 1;
+      current = [start, end];
+    }
+  });
+  if (current) total += current[1] - current[0] + 1;
+  return total;
+};
+
+const toYears = (months) => Math.round(months / 12 * 10) / 10;
+
+export const computeExperienceYears = (workExperience = [], { jobDetails = {}, referenceDate = new Date() } = {}) => {
+  const normalized = normalizeWorkExperience(workExperience, referenceDate);
+  const dated = normalized.filter(role => role?.datesParsed);
+  const relevant = dated.filter(role => isRelevantRole(role, jobDetails));
+  const totalMonths = mergedMonths(dated);
+  const relevantMonths = mergedMonths(relevant);
+
+  return {
+    totalYears: toYears(totalMonths),
+    relevantYears: toYears(relevantMonths),
+    totalMonths,
+    relevantMonths,
+    datedRoles: dated.length,
+    undatedRoles: normalized.length - dated.length,
+    asOf: toIso(referenceDate.getFullYear(), referenceDate.getMonth() + 1)
+  };
+};
@@ -0,0 +1,109 @@
+// Extraction cache utilities
+// Raw text and structured data keyed by file SHA-256 and the resumeFields selection,
+// so re-analysing the same resumes skips both PDF parsing and the LLM call.
+const CACHE_STORAGE_KEY = 'extractionCache';
+
+// The cache shares the origin's storage quota with saved analyses, so it is kept well below it
+export const MAX_CACHE_ENTRIES = 50;
+const MAX_CACHE_CHARS = 1500000;
+
+// Metadata read after extraction; layout, links and document properties are only needed while parsing
+const CACHED_METADATA_KEYS = ['format', 'pages', 'language', 'analysisLanguage', 'extractionModel', 'ocr', 'suspiciousContent', 'pageOffsets', 'headings'];
+
+export const getResumeFieldsKey = (resumeFields = {}) => {
+  const selected = Object.keys(resumeFields)
+    .filter(key => key !== 'customResumeFields' && resumeFields[key] === true)
+    .sort();
+  const custom = (resumeFields.customResumeFields || [])
+    .map(field => field?.name?.trim().toLowerCase())
+    .filter(Boolean)
+    .sort();
+  return [...selected, ...custom.map(name => `custom:${name}`)].join(',');
+};
+
+const getCacheKey = (fileHash, resumeFields) => `${fileHash}:${getResumeFieldsKey(resumeFields)}`;
+
+export const getExtractionCache = () => {
+  const saved = localStorage.getItem(CACHE_STORAGE_KEY);
+  if (!saved) return {};
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    // A corrupt cache only costs re-extraction; it must not block processing
+    console.warn('Discarding unreadable extraction cache:', error);
+    localStorage.removeItem(CACHE_STORAGE_KEY);
+    return {};
+  }
+};
+
+const isQuotaError = (error) =>
+  error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+
+const writeExtractionCache = (cache) => {
+  // Keep the most recently used entries within the entry and size limits
+  const entries = [];
+  let size = 0;
+  Object.entries(cache)
+    .sort((a, b) => new Date(b[1].lastUsedAt) - new Date(a[1].lastUsedAt))
+    .forEach(entry => {
+      const entrySize = JSON.stringify(entry).length;
+      if (entries.length >= MAX_CACHE_ENTRIES || size + entrySize > MAX_CACHE_CHARS) return;
+      entries.push(entry);
+      size += entrySize;
+    });
+  entries.reverse();
+
+  // Evict least recently used entries until the cache fits in storage
+  while (entries.length > 0) {
+    try {
+      localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
+      return;
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      entries.shift();
+    }
+  }
+  localStorage.removeItem(CACHE_STORAGE_KEY);
+};
+
+export const getCachedExtraction = (fileHash, resumeFields) => {
+  const cache = getExtractionCache();
+  const key = getCacheKey(fileHash, resumeFields);
+  const entry = cache[key];
+  if (!entry) return null;
+
+  cache[key] = { ...entry, lastUsedAt: new Date().toISOString(), hits: (entry.hits || 0) + 1 };
+  writeExtractionCache(cache);
+  return cache[key];
+};
+
+export const saveCachedExtraction = (fileHash, resumeFields, data) => {
+  const cache = getExtractionCache();
+  const now = new Date().toISOString();
+  cache[getCacheKey(fileHash, resumeFields)] = {
+    fileHash,
+    fieldsKey: getResumeFieldsKey(resumeFields),
+    cachedAt: now,
+    lastUsedAt: now,
+    hits: 0,
+    ...data,
+    metadata: Object.fromEntries(
+      CACHED_METADATA_KEYS.filter(key => data.metadata?.[key] !== undefined).map(key => [key, data.metadata[key]])
+    )
+  };
+  writeExtractionCache(cache);
+};
+
+export const deleteCachedExtraction = (key) => {
+  const cache = getExtractionCache();
+  delete cache[key];
+  writeExtractionCache(cache);
+};
+
+export const clearExtractionCache = () => {
+  localStorage.removeItem(CACHE_STORAGE_KEY);
+};
+
+export const getExtractionCacheSize = () => {
+  return (localStorage.getItem(CACHE_STORAGE_KEY) || '').length;
+};
@@ -0,0 +1,100 @@
+// Field provenance utilities
+// Every extracted field records where its value came from, how much we trust it,
+// and the character span (and page, for PDFs) of the resume text it was found in.
+
+export const FIELD_SOURCES = {
+  llm: 'llm',
+  regex: 'regex',
+  annotation: 'pdf-annotation',
+  fallback: 'fallback',
+  // Corrected by hand in the review step
+  manual: 'manual'
+};
+
+// Starting confidence per source; LLM values are adjusted by how much of them appears in the text
+const SOURCE_CONFIDENCE = {
+  manual: 1,
+  'pdf-annotation': 0.95,
+  regex: 0.9,
+  llm: 0.9,
+  fallback: 0.3
+};
+
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === '' || value === 'N/A' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Comparable form for URLs: no scheme, www or trailing slash
+const stripUrl = (value) => value.replace(/^https?:\/\//i, '').replace(/^www\./i, '').replace(/\/$/, '');
+
+export const findSpan = (text, value) => {
+  if (!text || typeof value !== 'string' || !value.trim()) return null;
+  const haystack = text.toLowerCase();
+  for (const candidate of [value.trim(), stripUrl(value.trim())]) {
+    const start = haystack.indexOf(candidate.toLowerCase());
+    if (start !== -1) return [start, start + candidate.length];
+  }
+  return null;
+};
+
+// Short string leaves of a value (skill names, company names, dates...) that should appear verbatim
+const collectLeaves = (value, leaves = []) => {
+  if (typeof value === 'string') {
+    if (value.length >= 2 && value.length <= 120 && value !== 'N/A') leaves.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectLeaves(item, leaves));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectLeaves(item, leaves));
+  }
+  return leaves;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const describeField = (value, source, { text = '', confidence, page } = {}) => {
+  if (isEmptyValue(value)) return null;
+
+  const leaves = collectLeaves(value);
+  const spans = leaves.map(leaf => findSpan(text, leaf));
+  const span = spans.find(Boolean) || null;
+  const base = SOURCE_CONFIDENCE[source] ?? 0.5;
+
+  let score = base;
+  if (confidence !== undefined) {
+    score = confidence;
+  } else if (source === FIELD_SOURCES.llm) {
+    // Nothing short enough to check (prose summaries) stays neutral; ungrounded values drop
+    score = leaves.length === 0 ? 0.7 : base * (0.5 + 0.5 * spans.filter(Boolean).length / leaves.length);
+  }
+
+  return {
+    source,
+    confidence: round(score),
+    span,
+    page: page ?? null
+  };
+};
+
+export const describeFields = (data, source, options = {}) => {
+  const provenance = {};
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (key === 'fieldProvenance' || key === 'original' || key === 'invalidFields') return;
+    const entry = describeField(value, source, options);
+    if (entry) provenance[key] = entry;
+  });
+  return provenance;
+};
+
+// Resolve spans to PDF pages; pageOffsets holds the start offset of each page in the text
+export const assignPages = (provenance = {}, pageOffsets = []) => {
+  if (!pageOffsets?.length) return provenance;
+  return Object.fromEntries(Object.entries(provenance).map(([key, entry]) => {
+    if (!entry?.span || entry.page) return [key, entry];
+    const index = pageOffsets.findLastIndex(offset => offset <= entry.span[0]);
+    return [key, { ...entry, page: index + 1 }];
+  }));
+};
+
+export const isLowConfidence = (entry) => Boolean(entry) && entry.confidence < LOW_CONFIDENCE_THRESHOLD;
@@ -0,0 +1,19 @@
+// Content hashing for uploaded files
+// Hashes are memoised per File object so import, dedup and caching share one digest
+const fileHashes = new WeakMap();
+
+export const hashBytes = async (bytes) => {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const hashFile = async (file) => {
+  if (fileHashes.has(file)) return fileHashes.get(file);
+  const hash = await hashBytes(await file.arrayBuffer());
+  fileHashes.set(file, hash);
+  return hash;
+};
+
+export const rememberFileHash = (file, hash) => {
+  fileHashes.set(file, hash);
+};
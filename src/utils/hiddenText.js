@@ -0,0 +1,100 @@
+// Hidden-text detection for PDF text items
+// Flags text runs a human reader cannot see: tiny fonts, runs placed off the
+// page, and runs that leave no ink when rendered (invisible render mode,
+// background-coloured text, or text covered by other content).
+
+export const MIN_VISIBLE_FONT_SIZE = 4;
+const MIN_INK_RATIO = 0.01;
+const INK_DISTANCE = 60;
+
+export const SUSPICIOUS_REASONS = {
+  tiny: 'Font too small to read',
+  offPage: 'Positioned outside the visible page',
+  invisible: 'Not visible when rendered (same colour as background, invisible or covered)'
+};
+
+const multiply = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+// Item bounding box in canvas pixels
+export const getItemRect = (item, viewport) => {
+  const tx = multiply(viewport.transform, item.transform);
+  const height = Math.hypot(tx[2], tx[3]);
+  const width = (item.width || 0) * viewport.scale;
+  return { left: tx[4], top: tx[5] - height, right: tx[4] + width, bottom: tx[5] };
+};
+
+// Share of pixels in the rect that differ from its dominant (background) colour
+export const getInkRatio = (imageData, rect) => {
+  const { width, height, data } = imageData;
+  const left = Math.max(0, Math.floor(rect.left));
+  const right = Math.min(width, Math.ceil(rect.right));
+  const top = Math.max(0, Math.floor(rect.top));
+  const bottom = Math.min(height, Math.ceil(rect.bottom));
+  if (right <= left || bottom <= top) return null;
+
+  const counts = new Map();
+  const pixels = [];
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      const offset = (y * width + x) * 4;
+      const pixel = [data[offset], data[offset + 1], data[offset + 2]];
+      const key = pixel.map(channel => channel >> 4).join(',');
+      counts.set(key, (counts.get(key) || 0) + 1);
+      pixels.push(pixel);
+    }
+  }
+
+  const [backgroundKey] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const background = backgroundKey.split(',').map(value => (Number(value) << 4) + 8);
+  const ink = pixels.filter(pixel =>
+    Math.abs(pixel[0] - background[0]) + Math.abs(pixel[1] - background[1]) + Math.abs(pixel[2] - background[2]) > INK_DISTANCE
+  ).length;
+
+  return ink / pixels.length;
+};
+
+export const detectHiddenText = (items, viewport, imageData) => {
+  const findings = [];
+
+  items.forEach((item, index) => {
+    if (!item.str || !item.str.trim() || !Array.isArray(item.transform)) return;
+
+    const fontSize = Math.hypot(item.transform[2], item.transform[3]);
+    if (fontSize < MIN_VISIBLE_FONT_SIZE) {
+      findings.push({ index, reason: 'tiny' });
+      return;
+    }
+
+    const rect = getItemRect(item, viewport);
+    const visibleWidth = Math.min(rect.right, viewport.width) - Math.max(rect.left, 0);
+    const visibleHeight = Math.min(rect.bottom, viewport.height) - Math.max(rect.top, 0);
+    if (visibleWidth <= 0 || visibleHeight <= 0) {
+      findings.push({ index, reason: 'offPage' });
+      return;
+    }
+
+    const inkRatio = imageData ? getInkRatio(imageData, rect) : null;
+    if (inkRatio !== null && inkRatio < MIN_INK_RATIO) {
+      findings.push({ index, reason: 'invisible' });
+    }
+  });
+
+  // A page whose text is almost entirely invisible is an OCR text layer over a
+  // scanned image, not keyword stuffing
+  const totalChars = items.reduce((sum, item) => sum + (item.str || '').trim().length, 0);
+  const invisibleChars = findings
+    .filter(finding => finding.reason === 'invisible')
+    .reduce((sum, finding) => sum + items[finding.index].str.trim().length, 0);
+  if (totalChars > 0 && invisibleChars / totalChars > 0.8) {
+    return findings.filter(finding => finding.reason !== 'invisible');
+  }
+
+  return findings;
+};
@@ -0,0 +1,49 @@
+// Language detection utilities
+// Detects the language a resume is written in and builds the prompt instruction that has
+// the model translate field values into the analysis language while keeping the originals.
+import { franc } from 'franc-min';
+
+// ISO 639-3 codes franc returns, mapped to ISO 639-1 and English names; detection is limited to these
+const LANGUAGES = {
+  eng: { code: 'en', name: 'English' },
+  deu: { code: 'de', name: 'German' },
+  spa: { code: 'es', name: 'Spanish' },
+  fra: { code: 'fr', name: 'French' },
+  ita: { code: 'it', name: 'Italian' },
+  por: { code: 'pt', name: 'Portuguese' },
+  nld: { code: 'nl', name: 'Dutch' },
+  pol: { code: 'pl', name: 'Polish' },
+  ces: { code: 'cs', name: 'Czech' },
+  ron: { code: 'ro', name: 'Romanian' },
+  swe: { code: 'sv', name: 'Swedish' },
+  dan: { code: 'da', name: 'Danish' },
+  tur: { code: 'tr', name: 'Turkish' },
+  ukr: { code: 'uk', name: 'Ukrainian' },
+  rus: { code: 'ru', name: 'Russian' }
+};
+
+// Languages analyses can be written in
+export const ANALYSIS_LANGUAGES = ['eng', 'deu', 'spa', 'fra', 'ita', 'por', 'nld'].map(iso3 => LANGUAGES[iso3]);
+
+export const getLanguageName = (code) =>
+  Object.values(LANGUAGES).find(language => language.code === code)?.name || code;
+
+// { code, name } or null when the text is too short or too mixed to tell
+export const detectLanguage = (text) => {
+  // The opening of a resume is enough, and long texts slow franc down
+  const sample = String(text || '').slice(0, 5000);
+  const iso3 = franc(sample, { minLength: 40, only: Object.keys(LANGUAGES) });
+  return LANGUAGES[iso3] ? { ...LANGUAGES[iso3] } : null;
+};
+
+// Prompt lines for a resume in another language than the analysis; empty when no translation is needed
+export const getTranslationInstruction = (language, analysisLanguage = 'en') => {
+  if (!language?.code || language.code === analysisLanguage) return '';
+  const target = getLanguageName(analysisLanguage);
+  return `
+LANGUAGE:
+- The resume is written in ${language.name}. Write every field value in ${target}, translating where needed
+- Keep names, company and institution names, URLs, email addresses, phone numbers and technology names exactly as written
+- Add an "original" object to the JSON holding, for each field you translated, its value exactly as written in the resume (same keys and structure as the translated field)
+`;
+};
@@ -35,3 +35,73 @@ export const setDefaultConfiguration = (index) => {
   localStorage.setItem('llmConfigurations', JSON.stringify(configs));
 };
 
+// Providers createChatModel supports, with the form fields each one needs and their defaults
+export const LLM_PROVIDERS = {
+  ollama: { label: 'Ollama (Local)', fields: ['baseUrl', 'model'], defaults: { baseUrl: 'http://localhost:11434', model: 'llama3.1' } },
+  openai: { label: 'OpenAI', fields: ['model', 'apiKey'], defaults: { model: 'gpt-4o-mini' } },
+  anthropic: { label: 'Anthropic', fields: ['model', 'apiKey'], defaults: { model: 'claude-3-5-haiku-latest' } },
+  gemini: { label: 'Google Gemini', fields: ['model', 'apiKey'], defaults: { model: 'gemini-2.5-flash' } },
+  mistral: { label: 'Mistral', fields: ['model', 'apiKey'], defaults: { model: 'mistral-small-latest' } },
+  cohere: { label: 'Cohere', fields: ['model', 'apiKey'], defaults: { model: 'command-r' } },
+  azure: { label: 'Azure', fields: ['instanceName', 'deploymentName', 'apiVersion', 'apiKey'], defaults: { apiVersion: '2024-02-15-preview' } },
+  // vLLM, LM Studio, llama.cpp and other servers that speak the OpenAI API
+  'openai-compatible': {
+    label: 'OpenAI-compatible (vLLM, LM Studio, llama.cpp)',
+    fields: ['baseUrl', 'model', 'apiKey', 'customHeaders'],
+    defaults: { baseUrl: 'http://localhost:8000/v1', model: '' }
+  }
+};
+
+// "Name: value" lines to a headers object; throws on a line without a colon
+export const parseCustomHeaders = (text = '') => {
+  const headers = {};
+  String(text).split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid header "${line}", expected "Name: value"`);
+    }
+    headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return headers;
+};
+
+// Pipeline steps that can each run on their own configuration
+export const PIPELINE_STEPS = [
+  { id: 'extraction', label: 'Resume extraction (on upload)' },
+  { id: 'personalInfo', label: 'Personal information' },
+  { id: 'education', label: 'Education' },
+  { id: 'workExperience', label: 'Work experience' },
+  { id: 'additionalFields', label: 'Additional fields' },
+  { id: 'finalAnalysis', label: 'Final analysis' }
+];
+
+// { fallbacks, steps }: configuration names tried in order when a call fails, and the
+// configuration name per step id; a step without one uses the default configuration
+export const getModelRouting = () => {
+  const saved = localStorage.getItem('llmRouting');
+  const routing = saved ? JSON.parse(saved) : {};
+  return { fallbacks: routing.fallbacks || [], steps: routing.steps || {} };
+};
+
+export const saveModelRouting = (routing) => {
+  localStorage.setItem('llmRouting', JSON.stringify(routing));
+};
+
+// Keeps the routing pointing at a configuration that was renamed (newName) or deleted (no newName)
+export const renameRoutedConfiguration = (oldName, newName) => {
+  const { fallbacks, steps } = getModelRouting();
+  const rename = (name) => (name === oldName ? newName : name);
+  saveModelRouting({
+    fallbacks: fallbacks.map(rename).filter(Boolean),
+    steps: Object.fromEntries(Object.entries(steps).map(([step, name]) => [step, rename(name)]).filter(([, name]) => name))
+  });
+};
+
+// Configurations to try for a step, in order: the step's own (or the default), then the fallbacks
+export const getStepConfigurations = (step) => {
+  const configs = getLLMConfigurations();
+  const { fallbacks, steps } = getModelRouting();
+  const findByName = (name) => configs.find(config => config.name === name);
+  const ordered = [findByName(steps[step]) || getDefaultConfiguration(), ...fallbacks.map(findByName)].filter(Boolean);
+  return ordered.filter((config, index) => ordered.indexOf(config) === index);
+};
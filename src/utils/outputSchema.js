@@ -0,0 +1,113 @@
+// Output schema utilities
+// The prompts describe the expected JSON with an example object built from the selected
+// fields; these turn that same example into the JSON Schema handed to providers that
+// support native structured output, so prompt and schema can't drift apart.
+
+// JSON Schema for a value shaped like the example: arrays take the shape of their first item
+export const exampleToJsonSchema = (example) => {
+  if (Array.isArray(example)) {
+    return { type: 'array', items: example.length > 0 ? exampleToJsonSchema(example[0]) : { type: 'string' } };
+  }
+  if (example && typeof example === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(example).map(([key, value]) => [key, exampleToJsonSchema(value)]))
+    };
+  }
+  if (typeof example === 'number') return { type: 'number' };
+  if (typeof example === 'boolean') return { type: 'boolean' };
+  return { type: 'string' };
+};
+
+// Object schema with every example key required. A translated extraction also returns an
+// "original" object holding the untranslated values under the same keys
+export const buildOutputSchema = (example, { withOriginal = false } = {}) => {
+  const schema = exampleToJsonSchema(example);
+  const required = Object.keys(schema.properties);
+  if (withOriginal) {
+    schema.properties.original = { type: 'object', properties: { ...schema.properties } };
+  }
+  return { ...schema, required };
+};
+
+// Values models use for "nothing"; a list given as one of these is empty
+const EMPTY_VALUES = new Set(['', 'n/a', 'na', 'none', 'null', 'not specified', 'not found']);
+
+// "8", "8.5", "8/10" and "8 out of 10" read as their leading number; scores are asked for out of 10,
+// so any other scale ("85/100") is left for repair rather than misread
+const NUMBER_TEXT = /^\s*(-?\d+(?:\.\d+)?)\s*(?:(?:\/|out of)\s*(\d+(?:\.\d+)?))?\s*$/i;
+const SCORE_SCALE = 10;
+
+const describeType = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// Coerces value towards the schema where that can't change its meaning; errors collect
+// { field, path, message } for whatever still doesn't match
+const coerceValue = (value, schema, path, errors) => {
+  const fail = (message) => {
+    errors.push({ field: path.split(/[.[]/)[0], path, message });
+    return value;
+  };
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      if (Array.isArray(value) && value.every(item => typeof item === 'string')) return value.join('; ');
+      return fail(`expected text, got ${describeType(value)}`);
+    case 'number': {
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      const match = typeof value === 'string' ? NUMBER_TEXT.exec(value) : null;
+      if (match && match[2] !== undefined && Number(match[2]) !== SCORE_SCALE) {
+        return fail(`expected a number on a 1-${SCORE_SCALE} scale, got ${JSON.stringify(value)}`);
+      }
+      if (match) return Number(match[1]);
+      return fail(`expected a number, got ${JSON.stringify(value)}`);
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|yes)$/i.test(String(value).trim())) return true;
+      if (/^(false|no)$/i.test(String(value).trim())) return false;
+      return fail(`expected true or false, got ${JSON.stringify(value)}`);
+    case 'array': {
+      let items = value;
+      if (value === null || (typeof value === 'string' && EMPTY_VALUES.has(value.trim().toLowerCase()))) {
+        items = [];
+      } else if (typeof value === 'string' && schema.items.type === 'string') {
+        // A list written out as text: one item per line, or comma/semicolon separated
+        items = value.split(/\n|;|,(?!\d)/).map(item => item.replace(/^\s*[-•*]\s*/, '').trim()).filter(Boolean);
+      } else if (value && typeof value === 'object' && !Array.isArray(value) && schema.items.type === 'object') {
+        items = [value];
+      }
+      if (!Array.isArray(items)) return fail(`expected a list, got ${describeType(value)}`);
+      return items.map((item, index) => coerceValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return fail(`expected an object, got ${describeType(value)}`);
+      }
+      const result = { ...value };
+      (schema.required || []).forEach(key => {
+        if (result[key] === undefined || result[key] === null) {
+          errors.push({ field: path ? path.split(/[.[]/)[0] : key, path: path ? `${path}.${key}` : key, message: 'missing' });
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (result[key] === undefined || result[key] === null) return;
+        result[key] = coerceValue(result[key], propertySchema, path ? `${path}.${key}` : key, errors);
+      });
+      return result;
+    }
+    default:
+      return value;
+  }
+};
+
+// { value, errors, invalidFields } for an output checked against a schema from buildOutputSchema;
+// keys the schema doesn't know are kept as they are
+export const validateOutput = (output, schema) => {
+  const errors = [];
+  // A reply that isn't an object at all counts as missing every field
+  const isObject = output && typeof output === 'object' && !Array.isArray(output);
+  const value = coerceValue(isObject ? output : {}, schema, '', errors);
+  return { value, errors, invalidFields: [...new Set(errors.map(error => error.field).filter(Boolean))] };
+};
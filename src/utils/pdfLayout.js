@@ -0,0 +1,206 @@
+// Layout-aware text reconstruction for PDF pages
+// pdfjs returns text items in content-stream order, which interleaves
+// multi-column templates. These helpers rebuild reading order from the
+// item transforms (x/y position and font size).
+
+const COLUMN_BINS = 100;
+const MIN_RUNS_FOR_COLUMNS = 12;
+const MIN_COLUMN_TEXT_SHARE = 0.15;
+const HEADING_SIZE_RATIO = 1.2;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const toTextRuns = (items = []) => items
+  .filter(item => typeof item.str === 'string' && item.str.trim() && Array.isArray(item.transform))
+  .map(item => {
+    const [a, b, c, d, x, y] = item.transform;
+    return {
+      text: item.str,
+      x,
+      y,
+      width: item.width || 0,
+      fontSize: Math.hypot(c, d) || Math.hypot(a, b) || item.height || 10,
+      fontName: item.fontName
+    };
+  });
+
+// Body text size, weighted by character count so a large name doesn't skew it
+export const getBodyFontSize = (runs) => {
+  const sizes = [];
+  runs.forEach(run => {
+    const weight = Math.min(run.text.length, 50);
+    for (let i = 0; i < weight; i++) sizes.push(run.fontSize);
+  });
+  return median(sizes) || 10;
+};
+
+export const groupIntoLines = (runs) => {
+  const sorted = [...runs].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+  const lines = [];
+
+  sorted.forEach(run => {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(run.fontSize, line?.fontSize || 0) * 0.4;
+    if (line && Math.abs(line.y - run.y) <= tolerance) {
+      line.runs.push(run);
+      line.fontSize = Math.max(line.fontSize, run.fontSize);
+    } else {
+      lines.push({ y: run.y, fontSize: run.fontSize, runs: [run] });
+    }
+  });
+
+  lines.forEach(line => line.runs.sort((a, b) => a.x - b.x));
+  return lines;
+};
+
+// Find a vertical gutter that splits the page into two text columns
+export const detectColumnGutter = (runs, pageWidth) => {
+  if (!pageWidth || runs.length < MIN_RUNS_FOR_COLUMNS) return null;
+
+  const toBin = (x) => Math.min(COLUMN_BINS - 1, Math.max(0, Math.floor((x / pageWidth) * COLUMN_BINS)));
+  const counts = new Array(COLUMN_BINS).fill(0);
+  runs.forEach(run => {
+    for (let bin = toBin(run.x); bin <= toBin(run.x + run.width); bin++) counts[bin]++;
+  });
+
+  // Allow a few crossings for headers and footers that span both columns
+  const maxCrossings = Math.max(1, Math.floor(runs.length * 0.03));
+  let best = null;
+  let start = -1;
+  for (let bin = 20; bin <= 80; bin++) {
+    const isLow = counts[bin] <= maxCrossings;
+    if (isLow && start === -1) start = bin;
+    if ((!isLow || bin === 80) && start !== -1) {
+      const end = isLow ? bin : bin - 1;
+      if (!best || end - start > best.end - best.start) best = { start, end };
+      start = -1;
+    }
+  }
+  if (!best || best.end - best.start < 1) return null;
+
+  const gutterX = ((best.start + best.end + 1) / 2 / COLUMN_BINS) * pageWidth;
+  const left = runs.filter(run => run.x + run.width <= gutterX);
+  const right = runs.filter(run => run.x >= gutterX);
+  const totalChars = runs.reduce((sum, run) => sum + run.text.length, 0);
+  const share = (group) => group.reduce((sum, run) => sum + run.text.length, 0) / totalChars;
+
+  // Right-aligned dates in a single-column resume leave a similar gap, so
+  // both sides must carry real text and the right side must be left-aligned
+  if (share(left) < MIN_COLUMN_TEXT_SHARE || share(right) < MIN_COLUMN_TEXT_SHARE) return null;
+
+  const rightStarts = right.map(run => run.x);
+  const anchor = median(rightStarts);
+  const aligned = rightStarts.filter(x => Math.abs(x - anchor) <= getBodyFontSize(right) * 2).length;
+  if (aligned < rightStarts.length * 0.4) return null;
+
+  return gutterX;
+};
+
+const joinRuns = (runs) => runs.reduce((text, run, index) => {
+  if (index === 0) return run.text;
+  const prev = runs[index - 1];
+  const gap = run.x - (prev.x + prev.width);
+  const needsSpace = gap > run.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(run.text);
+  return text + (needsSpace ? ' ' : '') + run.text;
+}, '').replace(/\s+/g, ' ').trim();
+
+const isHeadingLine = (text, fontSize, bodyFontSize) => {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length === 0 || words.length > 8) return false;
+  if (fontSize >= bodyFontSize * HEADING_SIZE_RATIO) return true;
+  // ALL-CAPS short labels such as "WORK EXPERIENCE"
+  return words.length <= 5 && /^[A-Z][A-Z&/,'’\- ]{2,}:?$/.test(text);
+};
+
+// Split a line where a heading-sized run is followed by body text
+const splitByFontSize = (line, bodyFontSize) => {
+  const parts = [];
+  line.runs.forEach(run => {
+    const part = parts[parts.length - 1];
+    const isLarge = run.fontSize >= bodyFontSize * HEADING_SIZE_RATIO;
+    if (part && part.isLarge === isLarge) {
+      part.runs.push(run);
+      part.fontSize = Math.max(part.fontSize, run.fontSize);
+    } else {
+      parts.push({ y: line.y, isLarge, fontSize: run.fontSize, runs: [run] });
+    }
+  });
+  return parts;
+};
+
+const linesToBlocks = (lines, bodyFontSize, column) => {
+  const blocks = [];
+  lines.forEach(line => {
+    splitByFontSize(line, bodyFontSize).forEach(part => {
+      const text = joinRuns(part.runs);
+      if (!text) return;
+      blocks.push({
+        text,
+        y: line.y,
+        fontSize: part.fontSize,
+        heading: isHeadingLine(text, part.fontSize, bodyFontSize),
+        column
+      });
+    });
+  });
+  return blocks;
+};
+
+// Re-assemble the page top-to-bottom; full-width lines separate column blocks
+const orderBlocks = (lines, gutterX, bodyFontSize) => {
+  if (gutterX === null) return linesToBlocks(lines, bodyFontSize, 0);
+
+  const ordered = [];
+  let left = [];
+  let right = [];
+  const flush = () => {
+    ordered.push(...linesToBlocks(left, bodyFontSize, 1), ...linesToBlocks(right, bodyFontSize, 2));
+    left = [];
+    right = [];
+  };
+
+  lines.forEach(line => {
+    const spans = line.runs.some(run => run.x < gutterX && run.x + run.width > gutterX);
+    if (spans) {
+      flush();
+      ordered.push(...linesToBlocks([line], bodyFontSize, 0));
+      return;
+    }
+    const leftRuns = line.runs.filter(run => run.x < gutterX);
+    const rightRuns = line.runs.filter(run => run.x >= gutterX);
+    if (leftRuns.length) left.push({ ...line, runs: leftRuns });
+    if (rightRuns.length) right.push({ ...line, runs: rightRuns });
+  });
+  flush();
+
+  return ordered;
+};
+
+export const buildPageText = (items, pageWidth) => {
+  const runs = toTextRuns(items);
+  if (runs.length === 0) return { text: '', lines: [], columns: 0 };
+
+  const bodyFontSize = getBodyFontSize(runs);
+  const gutterX = detectColumnGutter(runs, pageWidth);
+  const blocks = orderBlocks(groupIntoLines(runs), gutterX, bodyFontSize);
+
+  // Blank line before headings and wherever the vertical gap suggests a new paragraph
+  const text = blocks.map((block, index) => {
+    const prev = blocks[index - 1];
+    if (!prev) return block.text;
+    const newFlow = prev.column !== block.column;
+    const bigGap = prev.y - block.y > Math.max(prev.fontSize, block.fontSize) * 1.8;
+    return (block.heading || newFlow || bigGap ? '\n' : '') + block.text;
+  }).join('\n');
+
+  return {
+    text,
+    lines: blocks.map(({ text: lineText, fontSize, heading, column }) => ({ text: lineText, fontSize, heading, column })),
+    columns: gutterX === null ? 1 : 2
+  };
+};
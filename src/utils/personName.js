@@ -0,0 +1,97 @@
+// Person name utilities
+// Splits a full name into given, middle and family parts ("van der Berg" stays together,
+// "Doe, Jane" is reordered) and produces an accent- and case-insensitive comparison key.
+
+const PREFIXES = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'professor', 'sir', 'dame', 'rev', 'eng', 'ing']);
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'phd', 'md', 'mba', 'msc', 'ms', 'bsc', 'ba', 'ma', 'cpa', 'pe', 'pmp', 'esq', 'dds', 'rn']);
+
+// Lowercase words that belong to the family name that follows them
+const FAMILY_PARTICLES = new Set([
+  'van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'das', 'dos', 'du', 'la', 'le',
+  'ter', 'ten', 'bin', 'binti', 'ibn', 'al', 'el', 'st', 'mac', 'y'
+]);
+
+// Resume header lines that aren't names
+const NOT_A_NAME = /\b(resume|résumé|curriculum|vitae|cv|profile|contact|summary|objective|page)\b/i;
+
+const bare = (word) => word.toLowerCase().replace(/\./g, '');
+
+export const normalizeNameText = (name) => String(name || '')
+  .normalize('NFC')
+  .replace(/[\u200B-\u200D\uFEFF]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// ALL-CAPS and all-lowercase names are re-cased; anything else is kept as written ("McDonald", "DeShawn")
+const fixCase = (name) => {
+  const letters = name.replace(/[^\p{L}]/gu, '');
+  if (letters !== letters.toUpperCase() && letters !== letters.toLowerCase()) return name;
+  return name.toLocaleLowerCase().replace(/(^|[\s'’-])(\p{L})/gu, (match, separator, letter) => separator + letter.toLocaleUpperCase());
+};
+
+// Accent-, case- and punctuation-insensitive form for comparing names
+export const getNameKey = (name) => normalizeNameText(name)
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Whether a line plausibly is a person's name: 2-5 words of letters, no digits, emails or headings
+export const looksLikeName = (line) => {
+  const text = normalizeNameText(line);
+  if (!text || text.length > 60 || /[\d@/\\|:]/.test(text) || NOT_A_NAME.test(text)) return false;
+  const words = text.split(' ');
+  return words.length >= 2 && words.length <= 5 && words.every(word => /^[\p{L}][\p{L}'’.-]*,?$/u.test(word));
+};
+
+// { full, given, middle, family, prefix, suffix, key } or null when there is no name
+export const parseName = (fullName) => {
+  let text = normalizeNameText(fullName);
+  if (!text || text === 'N/A' || text === 'Unknown') return null;
+  text = fixCase(text);
+
+  let words = text.split(' ');
+  const prefix = [];
+  while (words.length > 1 && PREFIXES.has(bare(words[0]))) prefix.push(words.shift());
+
+  // Suffixes may follow a comma ("Jane Doe, PhD")
+  const suffix = [];
+  while (words.length > 1 && SUFFIXES.has(bare(words[words.length - 1].replace(/,$/, '')))) {
+    suffix.unshift(words.pop().replace(/,$/, ''));
+  }
+  words = words.map((word, index) => (index === words.length - 1 ? word.replace(/,$/, '') : word));
+
+  // "Doe, Jane Marie": family name first
+  let given = [];
+  let family = [];
+  const commaIndex = words.findIndex(word => word.endsWith(','));
+  if (commaIndex !== -1) {
+    family = words.slice(0, commaIndex + 1).map(word => word.replace(/,$/, ''));
+    given = words.slice(commaIndex + 1);
+  } else if (words.length === 1) {
+    given = words;
+  } else {
+    // The family name starts at its first particle, or is the last word
+    let start = words.length - 1;
+    while (start > 1 && FAMILY_PARTICLES.has(words[start - 1].toLowerCase())) start--;
+    given = words.slice(0, start);
+    family = words.slice(start);
+  }
+
+  const givenName = given[0] || null;
+  const middleName = given.slice(1).join(' ') || null;
+  const familyName = family.join(' ') || null;
+  const full = [givenName, middleName, familyName].filter(Boolean).join(' ');
+
+  return {
+    full,
+    given: givenName,
+    middle: middleName,
+    family: familyName,
+    prefix: prefix.join(' ') || null,
+    suffix: suffix.join(' ') || null,
+    key: getNameKey([givenName, familyName].filter(Boolean).join(' '))
+  };
+};
@@ -0,0 +1,89 @@
+// Deterministic resume section segmentation
+// Splits extracted text into named sections using heading heuristics and,
+// when available, font cues (lines the layout pass marked as headings).
+
+export const SECTION_PATTERNS = {
+  contact: /^(contact|contact (info|information|details)|personal (info|information|details))$/,
+  summary: /^(summary|professional summary|career summary|profile|professional profile|about|about me|objective|career objective|overview)$/,
+  experience: /^((work|professional|employment|relevant|industry|career) )?(experience|history)$|^employment( history)?$|^work history$/,
+  education: /^(education|academic background|academics|education and training|qualifications|academic qualifications)$/,
+  skills: /^((technical|core|key|professional) )?(skills|competencies)( and (tools|technologies|expertise))?$|^(expertise|technologies|tech stack|tools and technologies)$/,
+  projects: /^((personal|selected|key|academic|side) )?projects$/,
+  certifications: /^(certifications?|certificates|licenses|licenses and certifications|certifications and licenses|courses|training)$/,
+  languages: /^languages?$/,
+  awards: /^(awards|honors|honours|achievements|awards and honors|honors and awards)$/,
+  publications: /^(publications|papers|research|research and publications)$/,
+  volunteer: /^(volunteer(ing)?( experience| work)?|community (involvement|service)|volunteer and leadership)$/,
+  interests: /^(interests|hobbies|hobbies and interests)$/,
+  references: /^references$/
+};
+
+// Which sections each extraction step should see. A step only gets a slice
+// when at least one of its primary sections was found.
+export const SECTIONS_BY_STEP = {
+  personalInfo: { primary: ['contact'], related: ['summary'] },
+  education: { primary: ['education'], related: ['certifications'] },
+  workExperience: { primary: ['experience'], related: ['projects'] },
+  additionalFields: {
+    primary: ['skills', 'languages', 'awards', 'publications', 'volunteer', 'interests', 'other'],
+    related: []
+  }
+};
+
+export const normalizeHeading = (line) => line
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+export const matchSectionHeading = (line) => {
+  const trimmed = (line || '').trim();
+  if (!trimmed || trimmed.length > 50 || trimmed.split(/\s+/).length > 6) return null;
+  const normalized = normalizeHeading(trimmed);
+  const match = Object.entries(SECTION_PATTERNS).find(([, pattern]) => pattern.test(normalized));
+  return match ? match[0] : null;
+};
+
+export const segmentResumeText = (text, headingHints = []) => {
+  const hints = new Set(headingHints.map(normalizeHeading));
+  const sections = {};
+  let current = 'contact';
+  let seenKnownHeading = false;
+
+  (text || '').split('\n').forEach(line => {
+    const sectionName = matchSectionHeading(line);
+    const isFontHeading = hints.has(normalizeHeading(line));
+
+    if (sectionName) {
+      current = sectionName;
+      seenKnownHeading = true;
+      return;
+    }
+    // Unrecognised headings only open a new section once the body has started,
+    // so the candidate's name at the top stays in the contact block
+    if (isFontHeading && seenKnownHeading) {
+      current = 'other';
+    }
+
+    sections[current] = sections[current] ? `${sections[current]}\n${line}` : line;
+  });
+
+  Object.keys(sections).forEach(name => {
+    sections[name] = sections[name].trim();
+    if (!sections[name]) delete sections[name];
+  });
+
+  return sections;
+};
+
+// Text for an extraction step; falls back to the full text when nothing matched
+export const getSectionText = (sections, step, fullText) => {
+  const { primary = [], related = [] } = SECTIONS_BY_STEP[step] || {};
+  if (!primary.some(name => sections?.[name])) return fullText;
+
+  return [...primary, ...related]
+    .filter(name => sections[name])
+    .map(name => `${name.toUpperCase()}\n${sections[name]}`)
+    .join('\n\n');
+};
@@ -0,0 +1,130 @@
+// RTF to plain text
+// Minimal reader for resume exports: keeps paragraphs, tabs, table cells and
+// escaped characters, and drops destinations such as font tables, stylesheets,
+// pictures and field instructions.
+
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'shppict', 'nonshppict',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'fldinst', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl',
+  'listtable', 'listoverridetable', 'rsidtbl', 'filetbl', 'revtbl', 'generator', 'mmathPr'
+]);
+
+const SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  tab: '\t',
+  cell: ' | ',
+  bullet: '•',
+  emdash: '—',
+  endash: '–',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' '
+};
+
+// \'hh escapes are bytes in the document code page; resumes are almost always Windows-1252
+const byteDecoder = new TextDecoder('windows-1252');
+
+export const rtfToText = (rtf) => {
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  // Characters still to drop after a \uN escape (its ANSI fallback)
+  let fallbackChars = 0;
+  let out = '';
+  let i = 0;
+
+  const emit = (value) => {
+    if (fallbackChars > 0) {
+      fallbackChars--;
+      return;
+    }
+    if (!state.skip) out += value;
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (char === '}') {
+      state = stack.pop() || state;
+      i++;
+    } else if (char === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === "'") {
+        emit(byteDecoder.decode(new Uint8Array([parseInt(rtf.substr(i + 2, 2), 16)])));
+        i += 4;
+      } else if (next === '*') {
+        // Ignorable destination we don't understand
+        state.skip = true;
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '_') {
+        emit('-');
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+      } else {
+        const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+        if (!match) {
+          // Other control symbols (\-, \|, \:) carry no text
+          i += 2;
+          continue;
+        }
+
+        const [token, word, param] = match;
+        i += 1 + token.length;
+
+        if (word === 'u' && param !== undefined) {
+          const code = Number(param) < 0 ? Number(param) + 65536 : Number(param);
+          emit(String.fromCharCode(code));
+          fallbackChars = state.uc;
+        } else if (word === 'uc' && param !== undefined) {
+          state.uc = Number(param);
+        } else if (SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (SYMBOLS[word] !== undefined) {
+          emit(SYMBOLS[word]);
+        }
+      }
+    } else {
+      // Raw line breaks in RTF source are formatting only
+      if (char !== '\n' && char !== '\r') emit(char);
+      i++;
+    }
+  }
+
+  return out
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').replace(/( \| ?)+$/, '').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Hyperlink targets live in field instructions, which rtfToText drops
+export const extractRtfLinks = (rtf) => {
+  const links = [];
+  const pattern = /HYPERLINK\s+"([^"]+)"/g;
+  let match;
+  while ((match = pattern.exec(rtf)) !== null) {
+    links.push({ url: match[1], text: '', page: 1 });
+  }
+  return links;
+};
@@ -0,0 +1,251 @@
+// Skills taxonomy utilities
+// Canonical skill names with aliases and a parent category. Extracted skills are mapped
+// onto these so "ReactJS", "React.js" and "react" count as the same skill across candidates.
+// Users can add their own entries in Settings; they are stored next to the bundled list.
+const CUSTOM_SKILLS_STORAGE_KEY = 'customSkills';
+
+export const SKILL_CATEGORIES = [
+  'Programming Languages',
+  'Frontend',
+  'Backend',
+  'Mobile',
+  'Databases',
+  'Cloud & DevOps',
+  'Data & AI',
+  'Testing',
+  'Tools',
+  'Practices',
+  'Other'
+];
+
+// Ambiguous entries ("Go", "R") are only matched as list items, never in free text;
+// caseSensitive ones are everyday words too, so free text must use the exact name ("Swift", not "swift")
+export const BUNDLED_SKILLS = [
+  { name: 'JavaScript', category: 'Programming Languages', aliases: ['js', 'ecmascript', 'es6', 'es2015'] },
+  { name: 'TypeScript', category: 'Programming Languages', aliases: ['ts'] },
+  { name: 'Python', category: 'Programming Languages', aliases: ['python3', 'py'] },
+  { name: 'Java', category: 'Programming Languages', aliases: ['java se', 'java ee', 'j2ee'] },
+  { name: 'Kotlin', category: 'Programming Languages', aliases: [] },
+  { name: 'C', category: 'Programming Languages', aliases: [], ambiguous: true },
+  { name: 'C++', category: 'Programming Languages', aliases: ['cpp', 'c plus plus'] },
+  { name: 'C#', category: 'Programming Languages', aliases: ['csharp', 'c sharp'] },
+  { name: 'Go', category: 'Programming Languages', aliases: ['golang'], ambiguous: true },
+  { name: 'Rust', category: 'Programming Languages', aliases: [], caseSensitive: true },
+  { name: 'Ruby', category: 'Programming Languages', aliases: [], caseSensitive: true },
+  { name: 'PHP', category: 'Programming Languages', aliases: [] },
+  { name: 'Swift', category: 'Programming Languages', aliases: [], caseSensitive: true },
+  { name: 'Scala', category: 'Programming Languages', aliases: [] },
+  { name: 'R', category: 'Programming Languages', aliases: ['r language', 'rstats'], ambiguous: true },
+  { name: 'SQL', category: 'Databases', aliases: ['structured query language', 't-sql', 'tsql', 'pl/sql', 'plsql'] },
+  { name: 'Bash', category: 'Programming Languages', aliases: ['shell scripting', 'shell', 'sh'] },
+
+  { name: 'HTML', category: 'Frontend', aliases: ['html5'] },
+  { name: 'CSS', category: 'Frontend', aliases: ['css3'] },
+  { name: 'Sass', category: 'Frontend', aliases: ['scss'] },
+  { name: 'Tailwind CSS', category: 'Frontend', aliases: ['tailwind', 'tailwindcss'] },
+  { name: 'React', category: 'Frontend', aliases: ['reactjs', 'react.js', 'react js'] },
+  { name: 'Redux', category: 'Frontend', aliases: ['redux toolkit', 'rtk'] },
+  { name: 'Next.js', category: 'Frontend', aliases: ['nextjs', 'next'] },
+  { name: 'Angular', category: 'Frontend', aliases: ['angularjs', 'angular.js', 'angular 2+'] },
+  { name: 'Vue', category: 'Frontend', aliases: ['vuejs', 'vue.js', 'vue 3'] },
+  { name: 'Svelte', category: 'Frontend', aliases: ['sveltekit'] },
+  { name: 'jQuery', category: 'Frontend', aliases: [] },
+  { name: 'Webpack', category: 'Frontend', aliases: [] },
+  { name: 'Vite', category: 'Frontend', aliases: ['vitejs'] },
+
+  { name: 'Node.js', category: 'Backend', aliases: ['nodejs', 'node', 'node js'] },
+  { name: 'Express', category: 'Backend', aliases: ['expressjs', 'express.js'], caseSensitive: true },
+  { name: 'NestJS', category: 'Backend', aliases: ['nest.js', 'nest'] },
+  { name: 'Django', category: 'Backend', aliases: [] },
+  { name: 'Flask', category: 'Backend', aliases: [], caseSensitive: true },
+  { name: 'FastAPI', category: 'Backend', aliases: [] },
+  { name: 'Spring', category: 'Backend', aliases: ['spring boot', 'springboot', 'spring framework'], caseSensitive: true },
+  { name: '.NET', category: 'Backend', aliases: ['dotnet', '.net core', 'asp.net', 'asp.net core'] },
+  { name: 'Ruby on Rails', category: 'Backend', aliases: ['rails', 'ror'] },
+  { name: 'Laravel', category: 'Backend', aliases: [] },
+  { name: 'REST API', category: 'Backend', aliases: ['rest', 'restful', 'restful api', 'rest apis', 'restful apis'] },
+  { name: 'GraphQL', category: 'Backend', aliases: ['gql'] },
+  { name: 'gRPC', category: 'Backend', aliases: [] },
+  { name: 'Microservices', category: 'Backend', aliases: ['microservice architecture', 'micro services'] },
+
+  { name: 'React Native', category: 'Mobile', aliases: ['react-native'] },
+  { name: 'Flutter', category: 'Mobile', aliases: [] },
+  { name: 'Android', category: 'Mobile', aliases: ['android development'] },
+  { name: 'iOS', category: 'Mobile', aliases: ['ios development'] },
+
+  { name: 'PostgreSQL', category: 'Databases', aliases: ['postgres', 'postgre', 'psql'] },
+  { name: 'MySQL', category: 'Databases', aliases: ['mariadb'] },
+  { name: 'SQL Server', category: 'Databases', aliases: ['mssql', 'ms sql', 'microsoft sql server'] },
+  { name: 'Oracle Database', category: 'Databases', aliases: ['oracle', 'oracle db'], caseSensitive: true },
+  { name: 'SQLite', category: 'Databases', aliases: [] },
+  { name: 'MongoDB', category: 'Databases', aliases: ['mongo'] },
+  { name: 'Redis', category: 'Databases', aliases: [] },
+  { name: 'Elasticsearch', category: 'Databases', aliases: ['elastic search', 'elk'] },
+  { name: 'DynamoDB', category: 'Databases', aliases: ['dynamo db'] },
+  { name: 'Cassandra', category: 'Databases', aliases: ['apache cassandra'] },
+
+  { name: 'AWS', category: 'Cloud & DevOps', aliases: ['amazon web services'] },
+  { name: 'Azure', category: 'Cloud & DevOps', aliases: ['microsoft azure'] },
+  { name: 'Google Cloud', category: 'Cloud & DevOps', aliases: ['gcp', 'google cloud platform'] },
+  { name: 'Docker', category: 'Cloud & DevOps', aliases: ['containers'] },
+  { name: 'Kubernetes', category: 'Cloud & DevOps', aliases: ['k8s'] },
+  { name: 'Terraform', category: 'Cloud & DevOps', aliases: [] },
+  { name: 'Ansible', category: 'Cloud & DevOps', aliases: [] },
+  { name: 'CI/CD', category: 'Cloud & DevOps', aliases: ['ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { name: 'Jenkins', category: 'Cloud & DevOps', aliases: [] },
+  { name: 'GitHub Actions', category: 'Cloud & DevOps', aliases: [] },
+  { name: 'Linux', category: 'Cloud & DevOps', aliases: ['unix'] },
+  { name: 'DevOps', category: 'Cloud & DevOps', aliases: [] },
+
+  { name: 'Machine Learning', category: 'Data & AI', aliases: ['ml'] },
+  { name: 'Deep Learning', category: 'Data & AI', aliases: ['dl'] },
+  { name: 'Data Science', category: 'Data & AI', aliases: [] },
+  { name: 'Natural Language Processing', category: 'Data & AI', aliases: ['nlp'] },
+  { name: 'TensorFlow', category: 'Data & AI', aliases: ['tf'] },
+  { name: 'PyTorch', category: 'Data & AI', aliases: ['torch'] },
+  { name: 'scikit-learn', category: 'Data & AI', aliases: ['sklearn', 'scikit learn'] },
+  { name: 'Pandas', category: 'Data & AI', aliases: [] },
+  { name: 'NumPy', category: 'Data & AI', aliases: [] },
+  { name: 'Apache Spark', category: 'Data & AI', aliases: ['spark', 'pyspark'] },
+  { name: 'Kafka', category: 'Data & AI', aliases: ['apache kafka'] },
+  { name: 'Tableau', category: 'Data & AI', aliases: [] },
+  { name: 'Power BI', category: 'Data & AI', aliases: ['powerbi'] },
+  { name: 'LLMs', category: 'Data & AI', aliases: ['llm', 'large language models', 'generative ai', 'genai'] },
+
+  { name: 'Jest', category: 'Testing', aliases: [], caseSensitive: true },
+  { name: 'Cypress', category: 'Testing', aliases: [] },
+  { name: 'Playwright', category: 'Testing', aliases: [] },
+  { name: 'Selenium', category: 'Testing', aliases: ['selenium webdriver'] },
+  { name: 'Unit Testing', category: 'Testing', aliases: ['unit tests'] },
+  { name: 'Test-Driven Development', category: 'Testing', aliases: ['tdd'] },
+
+  // Hosting platforms are not aliases: "GitHub" is as likely a profile link as a skill
+  { name: 'Git', category: 'Tools', aliases: [] },
+  { name: 'Jira', category: 'Tools', aliases: [] },
+  { name: 'Figma', category: 'Tools', aliases: [] },
+  { name: 'Excel', category: 'Tools', aliases: ['microsoft excel', 'ms excel'] },
+
+  { name: 'Agile', category: 'Practices', aliases: ['agile methodologies', 'agile development'] },
+  { name: 'Scrum', category: 'Practices', aliases: [] },
+  { name: 'Kanban', category: 'Practices', aliases: [] },
+  { name: 'Project Management', category: 'Practices', aliases: [] },
+  { name: 'System Design', category: 'Practices', aliases: ['software architecture'] }
+];
+
+// Lookup form: case, spacing, dots, hyphens and underscores don't matter; + and # do
+export const normalizeSkillKey = (skill) => String(skill || '')
+  .toLowerCase()
+  .replace(/[\s._-]+/g, '')
+  .trim();
+
+export const getCustomSkills = () => {
+  const saved = localStorage.getItem(CUSTOM_SKILLS_STORAGE_KEY);
+  return saved ? JSON.parse(saved) : [];
+};
+
+export const saveCustomSkills = (skills) => {
+  localStorage.setItem(CUSTOM_SKILLS_STORAGE_KEY, JSON.stringify(skills));
+};
+
+// Bundled entries plus custom ones; a custom entry with a bundled name replaces its category
+// and adds its aliases
+export const getSkillsTaxonomy = () => {
+  const entries = new Map(BUNDLED_SKILLS.map(entry => [normalizeSkillKey(entry.name), { ...entry, custom: false }]));
+  getCustomSkills().forEach(entry => {
+    if (!entry?.name?.trim()) return;
+    const key = normalizeSkillKey(entry.name);
+    const existing = entries.get(key);
+    entries.set(key, {
+      name: existing?.name || entry.name.trim(),
+      category: entry.category || existing?.category || 'Other',
+      aliases: [...new Set([...(existing?.aliases || []), ...(entry.aliases || [])])],
+      ambiguous: existing?.ambiguous || false,
+      caseSensitive: existing?.caseSensitive || false,
+      custom: true
+    });
+  });
+  return [...entries.values()];
+};
+
+const buildIndex = (taxonomy) => {
+  const index = new Map();
+  taxonomy.forEach(entry => {
+    [entry.name, ...(entry.aliases || [])].forEach(term => {
+      const key = normalizeSkillKey(term);
+      if (key && !index.has(key)) index.set(key, entry);
+    });
+  });
+  return index;
+};
+
+// { name, category, known, original } for one extracted skill string
+export const normalizeSkill = (skill, taxonomy = getSkillsTaxonomy(), index = buildIndex(taxonomy)) => {
+  const original = String(skill || '').trim();
+  const key = normalizeSkillKey(original);
+  // "VueJS" and "Vue" are the same skill even when only one is listed
+  const entry = index.get(key) || (key.endsWith('js') && index.get(key.slice(0, -2)));
+  if (entry) return { name: entry.name, category: entry.category, known: true, original };
+  return { name: original, category: 'Other', known: false, original };
+};
+
+// Canonical names, de-duplicated in first-seen order; unknown skills are kept as written
+export const normalizeSkills = (skills = [], taxonomy = getSkillsTaxonomy()) => {
+  if (!Array.isArray(skills)) return [];
+  const index = buildIndex(taxonomy);
+  const seen = new Set();
+  return skills
+    .filter(skill => typeof skill === 'string' && skill.trim() && skill.trim() !== 'N/A')
+    .map(skill => normalizeSkill(skill, taxonomy, index))
+    .filter(skill => {
+      const key = normalizeSkillKey(skill.name);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+export const groupSkillsByCategory = (normalizedSkills = []) => normalizedSkills.reduce((groups, skill) => {
+  (groups[skill.category] = groups[skill.category] || []).push(skill.name);
+  return groups;
+}, {});
+
+// Aliases that read as ordinary words or abbreviations in prose
+const FREE_TEXT_SKIPPED_TERMS = new Set([
+  'js', 'ts', 'py', 'sh', 'tf', 'dl', 'ml', 'rtk', 'ror', 'gql', 'elk',
+  'next', 'nest', 'node', 'rest', 'shell', 'rails', 'spark', 'torch', 'oracle', 'containers', 'mongo'
+]);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Canonical skills mentioned anywhere in free text (job requirements, unstructured resumes)
+export const findSkillsInText = (text, taxonomy = getSkillsTaxonomy()) => {
+  if (!text) return [];
+  return taxonomy
+    .filter(entry => !entry.ambiguous)
+    .filter(entry => {
+      const terms = entry.caseSensitive
+        ? [entry.name]
+        : [entry.name, ...(entry.aliases || [])].filter(term => !FREE_TEXT_SKIPPED_TERMS.has(term.toLowerCase()));
+      return terms.some(term => {
+        // Skill characters on either side mean a longer word ("Java" in "JavaScript")
+        const pattern = new RegExp(
+          `(?<![A-Za-z0-9+#.])${escapeRegExp(term).replace(/\s+/g, '[\\s-]+')}(?![A-Za-z0-9+#])`,
+          entry.caseSensitive ? '' : 'i'
+        );
+        return pattern.test(text);
+      });
+    })
+    .map(entry => ({ name: entry.name, category: entry.category, known: true, original: entry.name }));
+};
+
+// Skills named in the job details compared with the candidate's normalized skills
+export const matchRequiredSkills = (candidateSkills = [], jobDetails = {}, taxonomy = getSkillsTaxonomy()) => {
+  const required = findSkillsInText([jobDetails.title, jobDetails.requirements, jobDetails.description].filter(Boolean).join('\n'), taxonomy)
+    .map(skill => skill.name);
+  const have = new Set(candidateSkills.map(skill => normalizeSkillKey(skill.name || skill)));
+  return {
+    required,
+    matched: required.filter(name => have.has(normalizeSkillKey(name))),
+    missing: required.filter(name => !have.has(normalizeSkillKey(name)))
+  };
+};
@@ -0,0 +1,37 @@
+import * as pdfjsWorker from "pdfjs-dist/build/pdf.worker.mjs";
+import { pdfParser } from "../services/pdfParser.js";
+
+// Run pdfjs in this thread instead of spawning a nested worker per document
+globalThis.pdfjsWorker = pdfjsWorker;
+
+// Password replies from the main thread, keyed by task id
+const pendingPasswords = new Map();
+
+const requestPassword = (id) => (fileName, isRetry) => new Promise(resolve => {
+  pendingPasswords.set(id, resolve);
+  self.postMessage({ type: 'password', id, fileName, isRetry });
+});
+
+const parse = async ({ id, buffer, fileName }) => {
+  try {
+    const result = await pdfParser.parse(buffer, {
+      fileName,
+      requestPassword: requestPassword(id),
+      onProgress: progress => self.postMessage({ type: 'progress', id, ...progress })
+    });
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message, code: error.code });
+  }
+};
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'parse') {
+    parse(message);
+  } else if (message.type === 'password') {
+    const resolve = pendingPasswords.get(message.id);
+    pendingPasswords.delete(message.id);
+    resolve?.(message.password);
+  }
+};
@@ -5,6 +5,9 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  worker: {
+    format: 'es'
+  },
   optimizeDeps: {
     include: ['pdfjs-dist']
   },